@@ -0,0 +1,68 @@
+// Generated by tools/build-precache-manifest.js; do not edit by hand.
+self.PRECACHE_MANIFEST = {
+  "version": "9ee8cdc26f94",
+  "files": [
+    {"url":"/","revision":"01a410af19d532c3"},
+    {"url":"/index.html","revision":"01a410af19d532c3"},
+    {"url":"/edit.html","revision":"b055b1040fb11313"},
+    {"url":"/offline.html","revision":"63c2d33cf430954b"},
+    {"url":"/card.json","revision":"8859399f188c38ff"},
+    {"url":"/manifest.webmanifest","revision":"2c66d96933fd91a9"},
+    {"url":"/styles/editor.css","revision":"3a96e4ed561cfd1a"},
+    {"url":"/styles/fonts.css","revision":"94bf9eb617e28f55"},
+    {"url":"/styles/main.css","revision":"76518da45faad7db"},
+    {"url":"/scripts/analytics.js","revision":"59c6635942f446a5"},
+    {"url":"/scripts/bookingAvailability.js","revision":"5420c19d6a4bc7e1"},
+    {"url":"/scripts/bookingHandler.js","revision":"6c115f429402d663"},
+    {"url":"/scripts/cardEditor.js","revision":"cab24d2289bce5e9"},
+    {"url":"/scripts/cardProfile.js","revision":"429033286d962e4e"},
+    {"url":"/scripts/cardRenderer.js","revision":"4dcc0da506baec01"},
+    {"url":"/scripts/connectivity.js","revision":"a23d91a08ff7a6d5"},
+    {"url":"/scripts/contactExchange.js","revision":"51f0c3a5ddd6389f"},
+    {"url":"/scripts/copyToClipboard.js","revision":"de3515112927e286"},
+    {"url":"/scripts/focusTrap.js","revision":"c77d6a1b15e4b131"},
+    {"url":"/scripts/galleryHandler.js","revision":"52cc5b6fe2a5a419"},
+    {"url":"/scripts/i18n.js","revision":"86602e728276e851"},
+    {"url":"/scripts/icons.js","revision":"dba2d860440bb311"},
+    {"url":"/scripts/icsBuilder.js","revision":"e99af2263987f919"},
+    {"url":"/scripts/inputModality.js","revision":"93e7c9e957aad811"},
+    {"url":"/scripts/launchActions.js","revision":"0799dd83eb5abe38"},
+    {"url":"/scripts/modalManager.js","revision":"3ca2f2f4d909bd23"},
+    {"url":"/scripts/printCard.js","revision":"8538676b70ecb181"},
+    {"url":"/scripts/pwa.js","revision":"64743616dcdcf827"},
+    {"url":"/scripts/qrCodeHandler.js","revision":"a2f1ab910462e5fb"},
+    {"url":"/scripts/qrEncoder.js","revision":"86d2e77a4f0d0c37"},
+    {"url":"/scripts/qrPayloads.js","revision":"ae9dd28d302a678d"},
+    {"url":"/scripts/qrRenderer.js","revision":"063dc3e5acf79b03"},
+    {"url":"/scripts/shareHandler.js","revision":"4967e49966e5226c"},
+    {"url":"/scripts/socialDeepLinks.js","revision":"310c55feaf3d9000"},
+    {"url":"/scripts/theme.js","revision":"690c165fb1f8cf53"},
+    {"url":"/scripts/vCardBuilder.js","revision":"4ce4a5bf2d78f32d"},
+    {"url":"/scripts/vCardHandler.js","revision":"a26146b66e4c0df8"},
+    {"url":"/scripts/zipWriter.js","revision":"8a49b5f78d985723"},
+    {"url":"/assets/background.png","revision":"bd6d37f2680f5840"},
+    {"url":"/assets/favicon-128.svg","revision":"de108044b39712bd"},
+    {"url":"/assets/favicon-256.svg","revision":"cd932929b39c744c"},
+    {"url":"/assets/favicon-qr.svg","revision":"024509fa514eabb1"},
+    {"url":"/assets/favicon.svg","revision":"ca3bc301608c66e9"},
+    {"url":"/assets/fonts/OFL.txt","revision":"f429f73935128757"},
+    {"url":"/assets/fonts/montserrat-latin-400-italic.woff2","revision":"a18fca2f8a465eaa"},
+    {"url":"/assets/fonts/montserrat-latin-400-normal.woff2","revision":"e66bcd2761ab6924"},
+    {"url":"/assets/fonts/montserrat-latin-700-normal.woff2","revision":"f9d9e65b15372ceb"},
+    {"url":"/assets/fonts/montserrat-latin-ext-400-italic.woff2","revision":"b7eb494f38e59492"},
+    {"url":"/assets/fonts/montserrat-latin-ext-400-normal.woff2","revision":"30f166cea0894715"},
+    {"url":"/assets/fonts/montserrat-latin-ext-700-normal.woff2","revision":"a59fcc944a712e21"},
+    {"url":"/assets/icons/apple-touch-icon.png","revision":"00e468ca622b40e8"},
+    {"url":"/assets/icons/icon-192.png","revision":"5cb190db9864e8d3"},
+    {"url":"/assets/icons/icon-512.png","revision":"e18d4c870768fb7c"},
+    {"url":"/assets/icons/maskable-192.png","revision":"096ab554298e720a"},
+    {"url":"/assets/icons/maskable-512.png","revision":"6d921ac6945353d2"},
+    {"url":"/assets/icons/shortcut-call.png","revision":"76825408dc0c99bf"},
+    {"url":"/assets/icons/shortcut-qr.png","revision":"9bb0bf05095c80a1"},
+    {"url":"/assets/icons/shortcut-save.png","revision":"3df6874761fa6324"},
+    {"url":"/assets/icons/shortcut-whatsapp.png","revision":"75b805d2318bfad6"},
+    {"url":"/assets/owner.png","revision":"2bf77937fd55137e"},
+    {"url":"/assets/pwa-512.svg","revision":"2fb8ef1a8feaf9eb"},
+    {"url":"/assets/pwa-maskable.svg","revision":"2cafa82f6077ca40"}
+  ]
+};
@@ -0,0 +1,194 @@
+/**
+ * Card Analytics
+ * Privacy-friendly click analytics: which actions visitors actually use.
+ *
+ * Events:
+ * - qr_opened, qr_downloaded { format, payload }
+ * - vcard_saved
+ * - email_clicked, whatsapp_clicked, social_clicked { platform }
+ * - copy_used { field }
+ * - booking_requested { channel: whatsapp | email | ics, session }
+ * - contact_exchanged { method: sent | queued | email }
+ * - pwa_install_prompt { outcome: accepted | dismissed }, pwa_installed, pwa_launched
+ * - launch_action { action: call | whatsapp | qr | save | book | email } (opened
+ *   from an app shortcut or a link such as a flyer's QR code)
+ *
+ * Privacy:
+ * - Disabled unless card.json sets `analytics.endpoint`
+ * - Disabled when the visitor sends Do Not Track (or Global Privacy Control)
+ * - No cookies, no storage of identifiers; each event carries only its name,
+ *   properties, page path and timestamp, plus `utm` when the page was opened
+ *   with campaign parameters (LaunchActions.getCampaign())
+ *
+ * Delivery:
+ * - Events are batched and sent with navigator.sendBeacon (text/plain JSON, so no
+ *   CORS preflight is needed), on a timer, when the batch is full and when the page
+ *   is hidden
+ * - While offline (or when the beacon is refused) batches wait in IndexedDB and are
+ *   sent when the connection returns
+ *
+ * Try it locally with `node tools/analytics-collector.js` and
+ * `"analytics": { "endpoint": "http://localhost:8787/collect" }` in card.json.
+ */
+
+(() => {
+  const DB_NAME = 'card-analytics';
+  const STORE = 'events';
+  const DEFAULTS = { endpoint: '', batchSize: 10, flushInterval: 15000 };
+
+  const state = {
+    config: null,
+    // Events tracked before card.json has loaded, then the batch waiting to be sent
+    queue: [],
+    timer: null
+  };
+
+  const isDoNotTrack = () =>
+    navigator.doNotTrack === '1' ||
+    window.doNotTrack === '1' ||
+    navigator.msDoNotTrack === '1' ||
+    navigator.globalPrivacyControl === true;
+
+  const isEnabled = () => Boolean(state.config && state.config.endpoint) && !isDoNotTrack();
+
+  /* ---------- IndexedDB offline queue ---------- */
+
+  const openDB = () => new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB unavailable'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { autoIncrement: true });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  /** Run one transaction; resolves with the last request's result once it commits. */
+  const withStore = async (mode, run) => {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = run(tx.objectStore(STORE));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request ? request.result : undefined);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  };
+
+  const storeOffline = (events) =>
+    withStore('readwrite', (store) => {
+      events.forEach((event) => store.add(event));
+      return null;
+    }).catch((error) => console.warn('Analytics events dropped:', error));
+
+  /** Read and clear the stored events in one transaction. */
+  const takeOffline = () =>
+    withStore('readwrite', (store) => {
+      const request = store.getAll();
+      request.onsuccess = () => store.clear();
+      return request;
+    }).catch(() => []);
+
+  /* ---------- Delivery ---------- */
+
+  /**
+   * Send a batch; falls back to the offline queue.
+   * @param {object[]} events
+   * @returns {boolean} Whether the browser accepted the beacon
+   */
+  const send = (events) => {
+    if (!events.length) return true;
+
+    const body = new Blob([JSON.stringify({ events })], { type: 'text/plain;charset=UTF-8' });
+    const sent = navigator.onLine !== false &&
+      typeof navigator.sendBeacon === 'function' &&
+      navigator.sendBeacon(state.config.endpoint, body);
+
+    if (!sent) storeOffline(events);
+    return sent;
+  };
+
+  const flush = () => {
+    if (!isEnabled()) return;
+    window.clearTimeout(state.timer);
+    state.timer = null;
+    send(state.queue.splice(0));
+  };
+
+  const scheduleFlush = () => {
+    if (state.queue.length >= state.config.batchSize) {
+      flush();
+      return;
+    }
+    if (!state.timer) state.timer = window.setTimeout(flush, state.config.flushInterval);
+  };
+
+  /** Send whatever was stored while offline. */
+  const flushOffline = async () => {
+    if (!isEnabled() || navigator.onLine === false) return;
+    const stored = await takeOffline();
+    for (let i = 0; i < stored.length; i += state.config.batchSize) {
+      send(stored.slice(i, i + state.config.batchSize));
+    }
+  };
+
+  /**
+   * Record an event.
+   * @param {string} name - See module header
+   * @param {object} [props] - Small, non-personal properties
+   */
+  const track = (name, props) => {
+    if (isDoNotTrack() || (state.config && !state.config.endpoint)) return;
+
+    const event = {
+      name,
+      props: props || {},
+      path: window.location.pathname,
+      ts: new Date().toISOString()
+    };
+    const campaign = window.LaunchActions ? window.LaunchActions.getCampaign() : null;
+    if (campaign) event.utm = campaign;
+    state.queue.push(event);
+
+    if (state.config) scheduleFlush();
+  };
+
+  /**
+   * Apply card.json `analytics` settings
+   * @param {object|null} profile
+   */
+  const configure = (profile) => {
+    state.config = { ...DEFAULTS, ...(profile?.analytics || {}) };
+    if (!isEnabled()) {
+      state.queue = [];
+      return;
+    }
+    if (state.queue.length) scheduleFlush();
+    flushOffline();
+  };
+
+  // The page may be closed by the very click being tracked (WhatsApp, social links).
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+  window.addEventListener('pagehide', flush);
+  window.addEventListener('online', flushOffline);
+
+  if (window.CardProfile) {
+    window.CardProfile.load().then(configure);
+  } else {
+    configure(null);
+  }
+
+  window.CardAnalytics = {
+    track,
+    flush,
+    isEnabled
+  };
+})();
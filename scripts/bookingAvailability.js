@@ -0,0 +1,200 @@
+/**
+ * Booking Availability
+ * Works out which sessions, days and start times a visitor can request, from
+ * card.json `booking`:
+ *
+ * {
+ *   "timeZone": "America/New_York",   // the owner's; slot times are wall-clock times there
+ *   "daysAhead": 28,                   // how far ahead days are offered
+ *   "minNoticeHours": 24,              // no slots sooner than this
+ *   "sessions": [{ "id": "portrait", "label": "Portrait session", "duration": 60, "days": ["sat"] }],
+ *   "weekly": { "mon": ["10:00", "14:00"], "sat": ["09:00"] },
+ *   "closed": ["2026-12-25"],          // days without slots (holidays, existing bookings)
+ *   "channels": ["whatsapp", "email", "ics"]
+ * }
+ *
+ * A session's optional `days` limits it to some weekdays. Days are "YYYY-MM-DD" in
+ * the owner's time zone; slots carry UTC start / end Dates, so the .ics invite lands
+ * at the right moment wherever the visitor is.
+ */
+
+(() => {
+  const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+  const CHANNELS = ['whatsapp', 'email', 'ics'];
+  const DEFAULTS = { daysAhead: 28, minNoticeHours: 24, channels: CHANNELS };
+  const DEFAULT_DURATION = 60;
+  const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+  const pad = (value) => String(value).padStart(2, '0');
+
+  /** Visitor's own time zone, used when the card doesn't name one. */
+  const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+  const isValidTimeZone = (timeZone) => {
+    try {
+      new Intl.DateTimeFormat('en', { timeZone });
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  /**
+   * The profile's booking settings with defaults, or null when booking is off
+   * (no sessions or no weekly slots).
+   * @param {object|null} profile
+   * @returns {object|null}
+   */
+  const getConfig = (profile) => {
+    const booking = profile?.booking;
+    if (!booking || typeof booking !== 'object' || !booking.weekly) return null;
+
+    const sessions = (Array.isArray(booking.sessions) ? booking.sessions : [])
+      .filter((session) => session && session.id && session.label);
+    if (!sessions.length) return null;
+
+    return {
+      ...DEFAULTS,
+      ...booking,
+      sessions,
+      timeZone: booking.timeZone && isValidTimeZone(booking.timeZone) ? booking.timeZone : getLocalTimeZone(),
+      channels: (Array.isArray(booking.channels) ? booking.channels : CHANNELS).filter((c) => CHANNELS.includes(c)),
+      closed: Array.isArray(booking.closed) ? booking.closed : []
+    };
+  };
+
+  const isAvailable = (profile) => Boolean(getConfig(profile));
+
+  /** Wall-clock parts of an instant in a time zone. */
+  const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date).forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+  };
+
+  /** Offset of a time zone from UTC at an instant, in milliseconds. */
+  const getOffset = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+  };
+
+  /**
+   * Instant of a wall-clock day and time in a time zone
+   * @param {string} day - "2026-11-03"
+   * @param {string} time - "10:00"
+   * @param {string} timeZone - IANA name
+   * @returns {Date}
+   */
+  const toInstant = (day, time, timeZone) => {
+    const [year, month, date] = day.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const wall = Date.UTC(year, month - 1, date, hours, minutes);
+    // The second pass settles the offset on daylight-saving change days.
+    let instant = wall - getOffset(new Date(wall), timeZone);
+    instant = wall - getOffset(new Date(instant), timeZone);
+    return new Date(instant);
+  };
+
+  const getWeekday = (day) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return WEEKDAYS[new Date(Date.UTC(year, month - 1, date)).getUTCDay()];
+  };
+
+  const getSession = (config, sessionId) =>
+    config.sessions.find((session) => session.id === sessionId) || config.sessions[0];
+
+  /**
+   * Start times still open on a day
+   * @param {object|null} profile
+   * @param {string} sessionId
+   * @param {string} day - "YYYY-MM-DD" in the owner's time zone
+   * @param {{now?: Date}} [options]
+   * @returns {{time: string, start: Date, end: Date}[]}
+   */
+  const getSlots = (profile, sessionId, day, { now = new Date() } = {}) => {
+    const config = getConfig(profile);
+    if (!config || config.closed.includes(day)) return [];
+
+    const session = getSession(config, sessionId);
+    const weekday = getWeekday(day);
+    if (Array.isArray(session.days) && !session.days.includes(weekday)) return [];
+
+    const earliest = now.getTime() + Number(config.minNoticeHours) * 3600000;
+    const duration = Number(session.duration) || DEFAULT_DURATION;
+    const times = Array.isArray(config.weekly[weekday]) ? config.weekly[weekday] : [];
+
+    return times
+      .filter((time) => TIME_PATTERN.test(time))
+      .map((time) => {
+        const start = toInstant(day, time, config.timeZone);
+        return { time, start, end: new Date(start.getTime() + duration * 60000) };
+      })
+      .filter((slot) => slot.start.getTime() >= earliest)
+      .sort((a, b) => a.start - b.start);
+  };
+
+  /**
+   * Days with at least one open slot, from today (owner's time zone) to `daysAhead`
+   * @param {object|null} profile
+   * @param {string} sessionId
+   * @param {{now?: Date}} [options]
+   * @returns {string[]} "YYYY-MM-DD"
+   */
+  const getDays = (profile, sessionId, { now = new Date() } = {}) => {
+    const config = getConfig(profile);
+    if (!config) return [];
+
+    const today = getZonedParts(now, config.timeZone);
+    const days = [];
+    for (let i = 0; i <= Number(config.daysAhead); i++) {
+      const date = new Date(Date.UTC(today.year, today.month - 1, today.day + i));
+      const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+      if (getSlots(profile, sessionId, day, { now }).length) days.push(day);
+    }
+    return days;
+  };
+
+  /** "Tuesday, 3 November" in the visitor's language. */
+  const formatDay = (day, lang) => {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Intl.DateTimeFormat(lang, { weekday: 'long', day: 'numeric', month: 'long', timeZone: 'UTC' })
+      .format(new Date(Date.UTC(year, month - 1, date)));
+  };
+
+  /** Start time as shown on the owner's clock, e.g. "10:00 AM". */
+  const formatTime = (instant, lang, timeZone) =>
+    new Intl.DateTimeFormat(lang, { hour: 'numeric', minute: '2-digit', timeZone }).format(instant);
+
+  /** "Eastern Standard Time" (or the IANA name when the browser has no label). */
+  const formatTimeZone = (timeZone, lang, at = new Date()) => {
+    const part = new Intl.DateTimeFormat(lang, { timeZone, timeZoneName: 'long' })
+      .formatToParts(at)
+      .find(({ type }) => type === 'timeZoneName');
+    return part ? part.value : timeZone;
+  };
+
+  window.BookingAvailability = {
+    WEEKDAYS,
+    CHANNELS,
+    getConfig,
+    isAvailable,
+    getDays,
+    getSlots,
+    toInstant,
+    formatDay,
+    formatTime,
+    formatTimeZone
+  };
+})();
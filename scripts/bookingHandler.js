@@ -0,0 +1,348 @@
+/**
+ * Booking Component
+ * "Book a session": the visitor picks a session type, a day and a start time from
+ * the availability in card.json `booking` (see bookingAvailability.js), then sends
+ * the request:
+ * - WhatsApp: wa.me chat with the request prefilled
+ *   (DigitalCardActions.resolveAndOpenExternalUrl, so the app opens on mobile)
+ * - Email: the visitor's email app, addressed to the owner (DigitalCardActions.buildMailtoUrl)
+ * - Calendar: a tentative .ics invite (ICSBuilder), downloaded the same way as the
+ *   contact card (VCardHandler.openVCard)
+ *
+ * Times are shown on the owner's clock, with the time zone named under the slots.
+ * Nothing is reserved: the owner confirms the request themselves.
+ *
+ * Also: a ModalManager dialog (focus trap, Escape to close), #a11y-status
+ * announcements and English / Arabic text (CardI18n). Session labels translate through
+ * `translations.<lang>.booking.sessions`.
+ *
+ * The instance is exposed as `window.bookingHandler` (launchActions.js opens the
+ * dialog for `?action=book`).
+ */
+
+class BookingHandler {
+  constructor() {
+    this.openButton = document.getElementById('booking-open');
+    this.modal = document.getElementById('booking-modal');
+    this.form = document.getElementById('booking-form');
+    this.modalClose = this.modal ? this.modal.querySelector('.booking-modal-close') : null;
+    this.sessionSelect = document.getElementById('booking-session');
+    this.daySelect = document.getElementById('booking-day');
+    this.slotList = document.getElementById('booking-slot-list');
+    this.slotsFieldset = document.getElementById('booking-slots');
+    this.timeZoneEl = document.getElementById('booking-timezone');
+    this.emptyEl = document.getElementById('booking-empty');
+    this.channelButtons = this.modal ? Array.from(this.modal.querySelectorAll('[data-booking-channel]')) : [];
+    this.a11yStatusEl = document.getElementById('a11y-status');
+    this.profile = null;
+    this.init();
+  }
+
+  init() {
+    if (!this.openButton || !this.modal || !this.form || !window.BookingAvailability) return;
+
+    this.openButton.addEventListener('click', (e) => this.openModal(e));
+    this.sessionSelect.addEventListener('change', () => this.renderDays());
+    this.daySelect.addEventListener('change', () => this.renderSlots());
+    this.slotList.addEventListener('change', () => this.setSlotError(''));
+    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+    if (window.CardProfile) {
+      window.CardProfile.load().then((profile) => this.applyProfile(profile));
+    }
+    window.CardI18n.onChange(() => this.render());
+  }
+
+  /**
+   * Show the action when the card defines sessions and weekly slots
+   * @param {object|null} profile
+   */
+  applyProfile(profile) {
+    if (!profile) return;
+    this.profile = profile;
+    this.openButton.hidden = !window.BookingAvailability.isAvailable(profile);
+    if (this.openButton.hidden) return;
+
+    const channels = this.getChannels();
+    this.channelButtons.forEach((button) => {
+      button.hidden = !channels.includes(button.dataset.bookingChannel);
+    });
+    this.render();
+  }
+
+  getConfig() {
+    return window.BookingAvailability.getConfig(this.getLocalizedProfile());
+  }
+
+  /** Profile in the current language (session labels, owner name, address). */
+  getLocalizedProfile() {
+    if (!this.profile) return null;
+    return window.CardProfile.localize(this.profile, window.CardI18n.getLanguage());
+  }
+
+  getLanguage() {
+    return window.CardI18n.getLanguage();
+  }
+
+  /** Configured channels this card can actually use. */
+  getChannels() {
+    const config = window.BookingAvailability.getConfig(this.profile);
+    if (!config) return [];
+    return config.channels.filter((channel) => {
+      if (channel === 'whatsapp') return Boolean(window.CardProfile.getWhatsAppUrl(this.profile));
+      if (channel === 'email') return Boolean(this.profile.email);
+      return true;
+    });
+  }
+
+  /* ---------- Picker ---------- */
+
+  /** Rebuild the session, day and time choices, keeping the current selection. */
+  render() {
+    const config = this.getConfig();
+    if (!config) return;
+
+    const selected = this.sessionSelect.value;
+    this.sessionSelect.replaceChildren(...config.sessions.map((session) => {
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = session.duration
+        ? window.CardI18n.t('booking.sessionOption', { label: session.label, minutes: session.duration })
+        : session.label;
+      return option;
+    }));
+    if (config.sessions.some((session) => session.id === selected)) this.sessionSelect.value = selected;
+
+    if (this.timeZoneEl) {
+      const zone = window.BookingAvailability.formatTimeZone(config.timeZone, this.getLanguage());
+      this.timeZoneEl.textContent = window.CardI18n.t('booking.timeZone', { zone });
+    }
+    this.renderDays();
+  }
+
+  renderDays() {
+    const { BookingAvailability } = window;
+    const selected = this.daySelect.value;
+    const days = BookingAvailability.getDays(this.profile, this.sessionSelect.value);
+    const lang = this.getLanguage();
+
+    this.daySelect.replaceChildren(...days.map((day) => {
+      const option = document.createElement('option');
+      option.value = day;
+      option.textContent = BookingAvailability.formatDay(day, lang);
+      return option;
+    }));
+    if (days.includes(selected)) this.daySelect.value = selected;
+
+    // Nothing open for this session: say so instead of showing empty pickers
+    const empty = days.length === 0;
+    this.daySelect.disabled = empty;
+    if (this.emptyEl) this.emptyEl.hidden = !empty;
+    this.slotsFieldset.hidden = empty;
+    this.channelButtons.forEach((button) => {
+      button.disabled = empty;
+    });
+    this.renderSlots();
+  }
+
+  renderSlots() {
+    const { BookingAvailability } = window;
+    const config = this.getConfig();
+    const selected = this.slotList.querySelector('input:checked')?.value;
+    const slots = this.daySelect.value
+      ? BookingAvailability.getSlots(this.profile, this.sessionSelect.value, this.daySelect.value)
+      : [];
+    const lang = this.getLanguage();
+
+    this.slotList.replaceChildren(...slots.map((slot) => {
+      const label = document.createElement('label');
+      label.className = 'booking-slot';
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.name = 'slot';
+      input.value = slot.time;
+      input.checked = slot.time === selected;
+      const text = document.createElement('span');
+      text.textContent = BookingAvailability.formatTime(slot.start, lang, config.timeZone);
+      label.append(input, text);
+      return label;
+    }));
+    this.setSlotError('');
+  }
+
+  setSlotError(message) {
+    const errorEl = document.getElementById('booking-slot-error');
+    if (message) this.slotsFieldset.setAttribute('aria-invalid', 'true');
+    else this.slotsFieldset.removeAttribute('aria-invalid');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = !message;
+    }
+  }
+
+  /**
+   * The chosen session, day and slot, with the text the request is written in
+   * @returns {object|null} Null when no time is picked
+   */
+  getSelection() {
+    const { BookingAvailability } = window;
+    const profile = this.getLocalizedProfile();
+    const config = this.getConfig();
+    const time = this.slotList.querySelector('input:checked')?.value;
+    const slot = BookingAvailability.getSlots(this.profile, this.sessionSelect.value, this.daySelect.value)
+      .find((candidate) => candidate.time === time);
+    if (!slot) return null;
+
+    const lang = this.getLanguage();
+    const session = config.sessions.find((candidate) => candidate.id === this.sessionSelect.value) || config.sessions[0];
+    const value = (name) => (this.form.elements[name]?.value || '').trim();
+    return {
+      profile,
+      session,
+      slot,
+      owner: profile.name?.given || window.CardProfile.getFullName(profile),
+      date: BookingAvailability.formatDay(this.daySelect.value, lang),
+      time: BookingAvailability.formatTime(slot.start, lang, config.timeZone),
+      zone: BookingAvailability.formatTimeZone(config.timeZone, lang, slot.start),
+      name: value('name'),
+      note: value('note')
+    };
+  }
+
+  /** The request as the owner reads it in WhatsApp, email or the invite. */
+  composeMessage(selection) {
+    const { owner, session, date, time, zone, name, note } = selection;
+    const lines = [
+      window.CardI18n.t('booking.message', { owner, session: session.label, date, time, zone }),
+      name && window.CardI18n.t('booking.messageName', { name }),
+      note && `\n${note}`
+    ];
+    return lines.filter(Boolean).join('\n');
+  }
+
+  /* ---------- Sending ---------- */
+
+  /**
+   * @param {SubmitEvent} e
+   */
+  handleSubmit(e) {
+    e.preventDefault();
+
+    const selection = this.getSelection();
+    if (!selection) {
+      this.setSlotError(window.CardI18n.t('booking.error.slot'));
+      const first = this.slotList.querySelector('input');
+      if (first) first.focus();
+      return;
+    }
+
+    // Enter in a text field submits with the first button, which may be a hidden channel.
+    const channels = this.getChannels();
+    const requested = e.submitter?.dataset.bookingChannel;
+    const channel = channels.includes(requested) ? requested : channels[0];
+    if (!channel) return;
+
+    if (window.CardAnalytics) window.CardAnalytics.track('booking_requested', { channel, session: selection.session.id });
+    if (channel === 'whatsapp') this.sendWhatsApp(selection);
+    else if (channel === 'email') this.sendEmail(selection);
+    else this.downloadInvite(selection);
+  }
+
+  sendWhatsApp(selection) {
+    const url = `${window.CardProfile.getWhatsAppUrl(selection.profile)}?text=${encodeURIComponent(this.composeMessage(selection))}`;
+    this.announce(window.CardI18n.t('booking.openingWhatsapp'));
+    this.closeModal();
+
+    const actions = window.DigitalCardActions;
+    if (actions) actions.resolveAndOpenExternalUrl(url);
+    else window.open(url, '_blank', 'noopener');
+  }
+
+  sendEmail(selection) {
+    const actions = window.DigitalCardActions;
+    if (!actions) return;
+
+    const { session, date } = selection;
+    this.announce(window.CardI18n.t('booking.openingEmail'));
+    this.closeModal();
+    window.location.href = actions.buildMailtoUrl({
+      to: selection.profile.email,
+      subject: window.CardI18n.t('booking.emailSubject', { session: session.label, date }),
+      body: this.composeMessage(selection)
+    });
+  }
+
+  /**
+   * Tentative calendar invite, downloaded as a Blob like the contact card
+   * (iOS opens it in Calendar instead of saving it)
+   */
+  downloadInvite(selection) {
+    if (!window.ICSBuilder) return;
+
+    const { profile, session, slot, owner } = selection;
+    const cardUrl = profile.qr?.url || `${window.location.origin}${window.location.pathname}`;
+    const icsText = window.ICSBuilder.build({
+      start: slot.start,
+      end: slot.end,
+      summary: window.CardI18n.t('booking.icsSummary', { session: session.label, owner }),
+      description: [
+        this.composeMessage(selection),
+        window.CardI18n.t('booking.icsDescription', { owner })
+      ].join('\n\n'),
+      location: window.CardProfile.formatAddress(profile.address),
+      url: cardUrl,
+      organizer: profile.email ? { name: window.CardProfile.getFullName(profile), email: profile.email } : null,
+      status: 'TENTATIVE'
+    });
+
+    const blob = new Blob([icsText], { type: 'text/calendar;charset=utf-8' });
+    const fileName = `${window.CardProfile.getFileBaseName(this.profile)}-booking-${this.daySelect.value}.ics`;
+    window.CardProfile.downloadBlob(blob, fileName, { newTab: true });
+
+    this.announce(window.CardI18n.t('booking.icsDownloaded'));
+  }
+
+  /* ---------- Dialog ---------- */
+
+  /**
+   * @param {Event} [e]
+   * @returns {Promise<void>} Settles when the dialog closes
+   */
+  openModal(e) {
+    if (e && typeof e.preventDefault === 'function') e.preventDefault();
+    if (!window.ModalManager) return Promise.resolve();
+
+    // Slots close as time passes (minimum notice): refresh on every open
+    if (!window.ModalManager.isOpen(this.modal)) this.renderDays();
+    return window.ModalManager.open(this.modal, {
+      initialFocus: this.sessionSelect,
+      returnFocus: this.returnFocusTarget()
+    });
+  }
+
+  /** The button, when the dialog wasn't opened from an element (e.g. ?action=book). */
+  returnFocusTarget() {
+    const active = document.activeElement;
+    return active && active !== document.body ? active : this.openButton;
+  }
+
+  /**
+   * @param {Event} [e]
+   */
+  closeModal(e) {
+    if (e && typeof e.preventDefault === 'function') e.preventDefault();
+    if (window.ModalManager) window.ModalManager.close(this.modal);
+  }
+
+  announce(message) {
+    if (!this.a11yStatusEl) return;
+    this.a11yStatusEl.textContent = '';
+    window.setTimeout(() => {
+      this.a11yStatusEl.textContent = message;
+    }, 10);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.bookingHandler = new BookingHandler();
+});
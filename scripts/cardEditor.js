@@ -0,0 +1,596 @@
+/**
+ * Card Editor Component
+ * In-browser editor for card.json at /edit (or /edit?card=<slug> for a hosted card).
+ *
+ * Features:
+ * - Form for name, title, bio, photo, contacts, address, social links and colours
+ *   (theme preset, dark mode, accent and background), filled from the published profile
+ * - Live preview: the real card page in an iframe (`?preview`), fed with the draft
+ *   through sessionStorage (see CardProfile.PREVIEW_STORAGE_KEY)
+ * - Validation of phone numbers, email and URLs, with inline messages and an
+ *   error summary when exporting
+ * - Export as a zip: card.json, the uploaded photo, a regenerated .vcf and the
+ *   QR code (SVG + PNG), built entirely in the browser (works offline)
+ *
+ * Fields the form doesn't cover (translations, QR settings, analytics…) are kept
+ * as they are in the exported card.json.
+ */
+
+class CardEditor {
+  constructor() {
+    this.form = document.getElementById('card-editor');
+    this.previewFrame = document.getElementById('editor-preview-frame');
+    this.socialList = document.getElementById('editor-social-list');
+    this.socialTemplate = document.getElementById('editor-social-template');
+    this.addSocialBtn = document.getElementById('editor-add-social');
+    this.photoInput = document.getElementById('field-photo');
+    this.photoPreview = document.getElementById('editor-photo-preview');
+    this.presetSelect = document.getElementById('field-theme-preset');
+    this.resetBtn = document.getElementById('editor-reset');
+    this.exportBtn = document.getElementById('editor-export');
+    this.errorSummary = document.getElementById('editor-errors');
+    this.statusEl = document.getElementById('editor-status');
+    this.a11yStatusEl = document.getElementById('a11y-status');
+
+    const requested = new URLSearchParams(window.location.search).get('card') || '';
+    this.slug = /^[a-z0-9-]+$/i.test(requested) ? requested.toLowerCase() : '';
+    this.profileUrl = window.CardProfile ? window.CardProfile.getProfileUrl(this.slug) : '/card.json';
+    // card.json as published, and the same data with the form's edits applied
+    this.original = null;
+    this.draft = null;
+    // Uploaded photo as a JPEG data URL (exported as photo.jpg)
+    this.photoUpload = '';
+    this.previewTimer = null;
+    this.previewDelay = 400;
+    // Longest side of an uploaded photo, and of the PHOTO embedded in the .vcf
+    this.photoMaxSize = 800;
+    this.vcardPhotoMaxSize = 400;
+    this.pngSize = 1024;
+    this.socialPlatforms = {
+      facebook: { label: 'Facebook', icon: 'facebook-f' },
+      instagram: { label: 'Instagram', icon: 'instagram' },
+      twitter: { label: 'X (Twitter)', icon: 'x-twitter' },
+      linkedin: { label: 'LinkedIn', icon: 'linkedin-in' },
+      youtube: { label: 'YouTube', icon: 'youtube' },
+      tiktok: { label: 'TikTok', icon: 'tiktok' },
+      pinterest: { label: 'Pinterest', icon: 'pinterest-p' },
+      behance: { label: 'Behance', icon: 'behance' }
+    };
+    this.socialRowCount = 0;
+    this.init();
+  }
+
+  async init() {
+    if (!this.form || !window.CardProfile) return;
+
+    this.form.addEventListener('input', (e) => this.handleInput(e));
+    this.form.addEventListener('change', (e) => this.handleChange(e));
+    this.form.addEventListener('submit', (e) => this.handleExport(e));
+    if (this.addSocialBtn) this.addSocialBtn.addEventListener('click', () => this.addSocialRow({}, { focus: true }));
+    if (this.resetBtn) this.resetBtn.addEventListener('click', () => this.resetDraft());
+    if (this.socialList) this.socialList.addEventListener('click', (e) => this.handleSocialRemove(e));
+    if (this.presetSelect && window.CardTheme) {
+      Object.entries(window.CardTheme.PRESETS).forEach(([value, { label }]) => this.presetSelect.add(new Option(label, value)));
+    }
+
+    try {
+      const res = await fetch(this.profileUrl, { cache: 'no-cache' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      this.original = await res.json();
+    } catch (error) {
+      console.error('Failed to load card profile:', error);
+      this.showStatus(`Could not load ${this.profileUrl}. Check the address, or connect once so the card is available offline.`);
+      this.exportBtn.disabled = true;
+      return;
+    }
+
+    const stored = this.readStoredDraft();
+    if (stored && stored.slug === this.original.slug && JSON.stringify(stored) !== JSON.stringify(this.original)) {
+      this.draft = stored;
+      this.photoUpload = String(stored.photo || '').startsWith('data:') ? stored.photo : '';
+      this.showStatus('Your unsaved changes from this session were restored.');
+    } else {
+      this.draft = this.clone(this.original);
+    }
+
+    this.fillForm(this.draft);
+    this.saveDraft();
+    this.previewFrame.src = this.getPreviewUrl();
+  }
+
+  /* ---------- Draft ---------- */
+
+  clone(value) {
+    return JSON.parse(JSON.stringify(value));
+  }
+
+  readStoredDraft() {
+    try {
+      return JSON.parse(sessionStorage.getItem(window.CardProfile.PREVIEW_STORAGE_KEY) || 'null');
+    } catch {
+      return null;
+    }
+  }
+
+  saveDraft() {
+    try {
+      sessionStorage.setItem(window.CardProfile.PREVIEW_STORAGE_KEY, JSON.stringify(this.draft));
+    } catch (error) {
+      // Quota exceeded (very large photo): the preview keeps the last draft that fitted.
+      console.warn('Draft could not be saved for the preview:', error);
+    }
+  }
+
+  /** The card page in preview mode, in the card's base language. */
+  getPreviewUrl() {
+    const lang = (this.draft.languages && this.draft.languages[0]) || 'en';
+    const path = this.slug ? `/c/${this.slug}` : '/';
+    return `${path}?${new URLSearchParams({ preview: '1', lang }).toString()}`;
+  }
+
+  getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  setPath(object, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((parent, key) => {
+      if (!parent[key] || typeof parent[key] !== 'object') parent[key] = {};
+      return parent[key];
+    }, object);
+    target[last] = value;
+  }
+
+  fillForm(draft) {
+    // Colours the card doesn't set come from its theme preset
+    const themeColors = window.CardTheme ? window.CardTheme.resolve(draft).light : {};
+    this.form.querySelectorAll('[data-path]').forEach((input) => {
+      const value = this.getPath(draft, input.dataset.path);
+      if (input.type === 'color') {
+        // Colour inputs only take #rrggbb
+        const color = [value, this.getPath({ theme: { colors: themeColors } }, input.dataset.path)]
+          .find((candidate) => /^#[0-9a-f]{6}$/i.test(candidate || ''));
+        input.value = color || '#000000';
+      } else {
+        input.value = value ?? '';
+        // Unset choices (theme preset, dark mode) show their default, the first option
+        if (input.tagName === 'SELECT' && !input.value) input.selectedIndex = 0;
+      }
+    });
+
+    this.socialList.innerHTML = '';
+    (draft.social || []).forEach((item) => this.addSocialRow(item));
+
+    this.photoPreview.src = this.photoUpload || (draft.photo ? window.CardProfile.resolveAsset(draft.photo, this.profileUrl) : '');
+    this.photoPreview.hidden = !this.photoPreview.getAttribute('src');
+  }
+
+  /** Copy the form into the draft. */
+  readForm() {
+    this.form.querySelectorAll('[data-path]').forEach((input) => {
+      this.setPath(this.draft, input.dataset.path, input.value.trim());
+    });
+    this.pruneThemeColors();
+
+    // Dialable number for tel: / vCard from what the client typed
+    const display = this.draft.phone?.display || '';
+    const digits = display.replace(/\D/g, '');
+    this.draft.phone.number = digits ? `${display.trim().startsWith('+') ? '+' : ''}${digits}` : '';
+    this.draft.whatsapp = (this.draft.whatsapp || '').replace(/\D/g, '');
+    this.draft.name.full = [this.draft.name.given, this.draft.name.family].filter(Boolean).join(' ');
+
+    this.draft.social = Array.from(this.socialList.querySelectorAll('.editor-social-row'))
+      .map((row) => {
+        const platform = row.querySelector('[data-social="platform"]').value;
+        const preset = this.socialPlatforms[platform];
+        return {
+          platform,
+          label: preset ? preset.label : row.dataset.label || platform,
+          icon: preset ? preset.icon : row.dataset.icon || 'link',
+          url: row.querySelector('[data-social="url"]').value.trim()
+        };
+      })
+      .filter((item) => item.url);
+
+    this.draft.photo = this.photoUpload || this.original.photo;
+  }
+
+  /**
+   * Colour fields always hold a colour: keep only those that differ from the preset
+   * in `theme.colors`, so the preset decides the rest (and a new preset recolours the card).
+   */
+  pruneThemeColors() {
+    const colors = this.draft.theme?.colors;
+    if (!colors || !window.CardTheme) return;
+    const { light } = window.CardTheme.resolve({ theme: { preset: this.draft.theme.preset } });
+    ['accent', 'page'].forEach((key) => {
+      if (String(colors[key] || '').toLowerCase() === light[key].toLowerCase()) delete colors[key];
+    });
+    if (!Object.keys(colors).length) delete this.draft.theme.colors;
+  }
+
+  resetDraft() {
+    this.draft = this.clone(this.original);
+    this.photoUpload = '';
+    this.photoInput.value = '';
+    this.fillForm(this.draft);
+    this.form.querySelectorAll('[aria-invalid]').forEach((input) => this.setFieldError(input, ''));
+    this.errorSummary.hidden = true;
+    this.showStatus('');
+    this.saveDraft();
+    this.refreshPreview();
+    this.announce('Changes discarded.');
+  }
+
+  /* ---------- Events ---------- */
+
+  handleInput(e) {
+    if (e.target === this.photoInput) return;
+    // Clear a shown error as soon as the field becomes valid
+    if (e.target.getAttribute('aria-invalid') === 'true') this.validateField(e.target);
+    this.schedulePreview();
+  }
+
+  handleChange(e) {
+    if (e.target === this.photoInput) {
+      this.handlePhoto(e.target.files && e.target.files[0]);
+      return;
+    }
+    if (e.target.dataset.validate) this.validateField(e.target);
+    if (e.target === this.presetSelect) this.applyPresetColors(e.target.value);
+    this.schedulePreview();
+  }
+
+  /** Show a newly chosen preset's own accent and background in the colour fields. */
+  applyPresetColors(preset) {
+    if (!window.CardTheme) return;
+    const { light } = window.CardTheme.resolve({ theme: { preset } });
+    this.form.querySelector('[data-path="theme.colors.accent"]').value = light.accent.toLowerCase();
+    this.form.querySelector('[data-path="theme.colors.page"]').value = light.page.toLowerCase();
+  }
+
+  schedulePreview() {
+    window.clearTimeout(this.previewTimer);
+    this.previewTimer = window.setTimeout(() => {
+      this.readForm();
+      this.saveDraft();
+      this.refreshPreview();
+    }, this.previewDelay);
+  }
+
+  refreshPreview() {
+    const frameWindow = this.previewFrame.contentWindow;
+    if (!frameWindow) return;
+    try {
+      frameWindow.location.reload();
+    } catch {
+      this.previewFrame.src = this.getPreviewUrl();
+    }
+  }
+
+  /**
+   * Downscale the chosen photo to a JPEG data URL for the preview and export
+   * @param {File} file
+   */
+  async handlePhoto(file) {
+    if (!file) return;
+    if (!/^image\//.test(file.type)) {
+      this.setFieldError(this.photoInput, 'Choose an image file (JPEG, PNG or WebP).');
+      return;
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+      this.photoUpload = await this.rasterize(url, this.photoMaxSize, window.CardTheme?.getAppColors(this.draft).backgroundColor);
+      this.setFieldError(this.photoInput, '');
+      this.photoPreview.src = this.photoUpload;
+      this.photoPreview.hidden = false;
+      this.schedulePreview();
+      this.announce('Photo updated.');
+    } catch (error) {
+      console.error('Photo could not be read:', error);
+      this.setFieldError(this.photoInput, 'This image could not be read. Try another file.');
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /* ---------- Social links ---------- */
+
+  /**
+   * Add a social link row
+   * @param {{platform?: string, label?: string, icon?: string, url?: string}} item
+   * @param {{focus?: boolean}} [options]
+   */
+  addSocialRow(item, { focus = false } = {}) {
+    const fragment = this.socialTemplate.content.cloneNode(true);
+    const row = fragment.querySelector('.editor-social-row');
+    const id = `social-${++this.socialRowCount}`;
+    const select = row.querySelector('[data-social="platform"]');
+    const url = row.querySelector('[data-social="url"]');
+    const error = row.querySelector('[data-social-error]');
+
+    Object.entries(this.socialPlatforms).forEach(([value, { label }]) => select.add(new Option(label, value)));
+    // Keep platforms added by hand in card.json selectable
+    if (item.platform && !this.socialPlatforms[item.platform]) {
+      select.add(new Option(item.label || item.platform, item.platform));
+      row.dataset.label = item.label || item.platform;
+      row.dataset.icon = item.icon || '';
+    }
+    select.value = item.platform || 'facebook';
+    url.value = item.url || '';
+
+    select.id = `${id}-platform`;
+    url.id = `${id}-url`;
+    error.id = `${id}-url-error`;
+    url.setAttribute('aria-describedby', error.id);
+    row.querySelector('[data-social-label="platform"]').htmlFor = select.id;
+    row.querySelector('[data-social-label="url"]').htmlFor = url.id;
+    row.querySelector('[data-social-remove]').setAttribute('aria-label', 'Remove this social link');
+
+    this.socialList.appendChild(fragment);
+    if (focus) select.focus();
+  }
+
+  handleSocialRemove(e) {
+    const button = e.target.closest('[data-social-remove]');
+    if (!button) return;
+    button.closest('.editor-social-row').remove();
+    this.schedulePreview();
+    this.announce('Social link removed.');
+    if (this.addSocialBtn) this.addSocialBtn.focus();
+  }
+
+  /* ---------- Validation ---------- */
+
+  /**
+   * Error message for a value, or '' when valid (empty optional fields are valid)
+   * @param {'phone'|'email'|'url'} type
+   * @param {string} value
+   * @returns {string}
+   */
+  getValidationError(type, value) {
+    if (!value) return '';
+    switch (type) {
+      case 'phone': {
+        const digits = value.replace(/\D/g, '').length;
+        if (!/^\+?[\d\s().-]+$/.test(value) || digits < 7 || digits > 15) {
+          return 'Enter a phone number with 7 to 15 digits, e.g. +1-555-123-4567.';
+        }
+        return '';
+      }
+      case 'email':
+        return /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value) ? '' : 'Enter an email address like name@example.com.';
+      case 'url':
+        try {
+          const url = new URL(value);
+          if (/^https?:$/.test(url.protocol) && url.hostname.includes('.')) return '';
+        } catch {
+          // Falls through to the message below
+        }
+        return 'Enter a full web address starting with https://';
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Validate one input and show / clear its message
+   * @param {HTMLInputElement} input
+   * @returns {boolean}
+   */
+  validateField(input) {
+    const value = input.value.trim();
+    let message = input.required && !value ? 'This field is required.' : '';
+    if (!message && input.dataset.validate) message = this.getValidationError(input.dataset.validate, value);
+    this.setFieldError(input, message);
+    return !message;
+  }
+
+  setFieldError(input, message) {
+    const errorId = (input.getAttribute('aria-describedby') || '').split(' ').find((id) => id.endsWith('-error'));
+    const errorEl = errorId ? document.getElementById(errorId) : null;
+    if (message) input.setAttribute('aria-invalid', 'true');
+    else input.removeAttribute('aria-invalid');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = !message;
+    }
+  }
+
+  /**
+   * Validate every field; lists the problems in the error summary
+   * @returns {boolean}
+   */
+  validateForm() {
+    const inputs = Array.from(this.form.querySelectorAll('[required], [data-validate]'));
+    const invalid = inputs.filter((input) => !this.validateField(input));
+    const list = this.errorSummary.querySelector('.editor-errors-list');
+    list.innerHTML = '';
+
+    invalid.forEach((input) => {
+      const label = this.form.querySelector(`label[for="${input.id}"]`);
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = `#${input.id}`;
+      link.textContent = label ? label.textContent.trim() : input.id;
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        input.focus();
+      });
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    this.errorSummary.hidden = invalid.length === 0;
+    return invalid.length === 0;
+  }
+
+  /* ---------- Export ---------- */
+
+  /**
+   * Validate, then download card.json, photo, .vcf and QR codes as a zip
+   * @param {Event} e - Submit event
+   */
+  async handleExport(e) {
+    e.preventDefault();
+    if (!this.draft) return;
+
+    window.clearTimeout(this.previewTimer);
+    this.readForm();
+    this.saveDraft();
+
+    if (!this.validateForm()) {
+      this.errorSummary.focus();
+      this.announce('Some fields need fixing before the card can be exported.');
+      return;
+    }
+
+    const label = this.exportBtn.querySelector('span');
+    const originalText = label.textContent;
+    this.exportBtn.disabled = true;
+    label.textContent = 'Preparing…';
+
+    try {
+      const zip = await window.ZipWriter.create(await this.buildExportFiles());
+      const profile = window.CardProfile.normalize(this.draft, this.profileUrl);
+      window.CardProfile.downloadBlob(zip, `${window.CardProfile.getFileBaseName(profile)}-card.zip`);
+      this.announce('Card exported.');
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.announce('Export failed. Please try again.');
+    } finally {
+      label.textContent = originalText;
+      this.exportBtn.disabled = false;
+    }
+  }
+
+  /**
+   * Files in the exported zip
+   * @returns {Promise<{name: string, data: string|Blob|Uint8Array}[]>}
+   */
+  async buildExportFiles() {
+    const profile = window.CardProfile.normalize(this.draft, this.profileUrl);
+    const baseName = window.CardProfile.getFileBaseName(profile);
+    const files = [];
+
+    // card.json references the uploaded photo next to it
+    const cardJson = this.clone(this.draft);
+    if (this.photoUpload) {
+      cardJson.photo = 'photo.jpg';
+      files.push({ name: 'photo.jpg', data: this.dataUrlToBytes(this.photoUpload) });
+    }
+    files.unshift({ name: 'card.json', data: `${JSON.stringify(cardJson, null, 2)}\n` });
+
+    files.push({ name: `${baseName}.vcf`, data: await this.buildVCard(profile) });
+
+    const qr = await this.buildQRCode(profile);
+    files.push({ name: `${baseName}-QR-Code.svg`, data: qr.svg });
+    files.push({ name: `${baseName}-QR-Code.png`, data: qr.png });
+
+    return files;
+  }
+
+  async buildVCard(profile) {
+    let photo = null;
+    if (profile.photo && profile.vcard?.photo !== false) {
+      try {
+        const background = window.CardTheme ? window.CardTheme.getAppColors(profile).backgroundColor : profile.app?.backgroundColor;
+        const dataUrl = await this.rasterize(profile.photo, this.vcardPhotoMaxSize, background);
+        photo = { mediaType: 'image/jpeg', data: dataUrl.slice(dataUrl.indexOf(',') + 1) };
+      } catch (error) {
+        console.warn('Contact photo skipped:', error);
+      }
+    }
+    const version = profile.vcard?.version || '3.0';
+    return window.VCardBuilder.build(window.VCardBuilder.fromProfile(profile, { photo }), { version });
+  }
+
+  /**
+   * Card link QR code in the card's style, as SVG text and a PNG Blob
+   * @param {object} profile - Normalized draft
+   * @returns {Promise<{svg: string, png: Blob}>}
+   */
+  async buildQRCode(profile) {
+    const { QREncoder, QRRenderer } = window;
+    const url = profile.qr?.url || `${window.location.origin}${this.slug ? `/c/${this.slug}` : '/'}`;
+    const { options, logoSrc, refused } = QRRenderer.fromCardStyle(
+      profile.qr?.style,
+      window.CardTheme ? window.CardTheme.getAppColors(profile) : profile.app
+    );
+    if (refused) console.warn(refused);
+
+    let logo = null;
+    if (logoSrc) {
+      logo = await QRRenderer.loadLogo(logoSrc).catch((error) => {
+        console.warn('QR logo could not be loaded:', error);
+        return null;
+      });
+    }
+
+    const qr = QREncoder.encode(url, { ecLevel: logoSrc ? 'H' : profile.qr?.ecLevel || 'M' });
+    const title = `${profile.name.full} card link QR code`;
+    return {
+      svg: QRRenderer.toSVG(qr, { ...options, logo, title }),
+      png: await QRRenderer.toPNGBlob(qr, { ...options, logo, pixelSize: this.pngSize })
+    };
+  }
+
+  /* ---------- Helpers ---------- */
+
+  /**
+   * Draw an image onto a canvas no larger than maxSize and return a JPEG data URL
+   * @param {string} src
+   * @param {number} maxSize
+   * @param {string} [background] - Painted behind transparent areas (JPEG has no alpha)
+   * @returns {Promise<string>}
+   */
+  rasterize(src, maxSize, background) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        try {
+          const scale = Math.min(1, maxSize / Math.max(img.naturalWidth, img.naturalHeight));
+          const canvas = document.createElement('canvas');
+          canvas.width = Math.round(img.naturalWidth * scale);
+          canvas.height = Math.round(img.naturalHeight * scale);
+          const ctx = canvas.getContext('2d');
+          ctx.fillStyle = background || '#ffffff';
+          ctx.fillRect(0, 0, canvas.width, canvas.height);
+          ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+          resolve(canvas.toDataURL('image/jpeg', 0.85));
+        } catch (error) {
+          reject(error);
+        }
+      };
+      img.onerror = () => reject(new Error('Image failed to decode'));
+      img.src = src;
+    });
+  }
+
+  dataUrlToBytes(dataUrl) {
+    const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+  }
+
+  showStatus(message) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.hidden = !message;
+  }
+
+  announce(message) {
+    if (!this.a11yStatusEl) return;
+    this.a11yStatusEl.textContent = '';
+    window.setTimeout(() => {
+      this.a11yStatusEl.textContent = message;
+    }, 10);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new CardEditor();
+});
@@ -0,0 +1,305 @@
+/**
+ * Card Profile
+ * Single source of truth for the card owner's details (card.json).
+ *
+ * Components read names, contacts and branding from here instead of
+ * hard-coding them, so rebranding a card for a new client is one file edit:
+ * - cardRenderer.js fills the page, footer icons and manifest
+ * - vCardHandler.js builds the contact file
+ * - qrCodeHandler.js names the QR download
+ *
+ * The profile is fetched once and shared through a cached promise.
+ * If it cannot be loaded, `load()` resolves to null and `getLoadError()` says
+ * why; cardRenderer.js then shows a "card not found" or offline notice (index.html
+ * carries no owner details of its own).
+ *
+ * Multi-card hosting:
+ * - `/` shows the default card (`/card.json`)
+ * - `/c/<slug>` shows `/cards/<slug>/card.json`; relative asset paths in that
+ *   profile (photo, QR logo, gallery images) resolve against its folder
+ * - The default card also answers to its own slug; unknown slugs are "not
+ *   found" rather than showing someone else's card
+ *
+ * Languages: `translations.<lang>` holds the fields that differ in another
+ * language (name, title, bio, address, vCard note…); `localize()` merges them
+ * over the base profile.
+ *
+ * Editor preview: with `?preview` in the URL, the draft the /edit page keeps in
+ * sessionStorage (PREVIEW_STORAGE_KEY) is shown instead of the published profile,
+ * with analytics switched off.
+ *
+ * Downloads: `downloadBlob()` saves the files components generate (vCard, QR code,
+ * calendar invite, editor export) under the names derived from the profile.
+ */
+
+(() => {
+  // Absolute paths avoid issues when the page is opened from a nested URL.
+  const DEFAULT_PROFILE_URL = '/card.json';
+  const SLUG_PATTERN = /^\/c\/([a-z0-9-]+)\/?$/i;
+  const PREVIEW_STORAGE_KEY = 'card-preview';
+
+  let profilePromise = null;
+  let loadError = null;
+
+  /** Slug from a /c/<slug> URL, or '' for the default card. */
+  const getSlug = () => {
+    const match = SLUG_PATTERN.exec(window.location.pathname);
+    return match ? match[1].toLowerCase() : '';
+  };
+
+  const getProfileUrl = (slug) => (slug ? `/cards/${slug}/card.json` : DEFAULT_PROFILE_URL);
+
+  /** Page path of a card: "/" or "/c/<slug>" (used for the manifest start URL). */
+  const getCardPath = () => {
+    const slug = getSlug();
+    return slug ? `/c/${slug}` : '/';
+  };
+
+  /**
+   * Resolve an asset path from a profile against the profile's URL.
+   * Same-origin results stay root-relative ("/cards/acme/photo.jpg").
+   * @param {string} value
+   * @param {string} profileUrl
+   * @returns {string}
+   */
+  const resolveAsset = (value, profileUrl) => {
+    if (!value) return value;
+    try {
+      const url = new URL(value, new URL(profileUrl, window.location.origin));
+      return url.origin === window.location.origin ? `${url.pathname}${url.search}` : url.href;
+    } catch {
+      return value;
+    }
+  };
+
+  /** Gallery image paths (`src` and every `srcset` entry) resolved like the photo. */
+  const resolveGallery = (gallery, profileUrl) => {
+    if (!Array.isArray(gallery?.images)) return gallery;
+    return {
+      ...gallery,
+      images: gallery.images.map((image) => {
+        if (!image || typeof image !== 'object') return image;
+        const resolved = { ...image, src: resolveAsset(image.src, profileUrl) };
+        if (image.srcset && typeof image.srcset === 'object') {
+          resolved.srcset = Object.fromEntries(
+            Object.entries(image.srcset).map(([width, url]) => [width, resolveAsset(url, profileUrl)])
+          );
+        }
+        return resolved;
+      })
+    };
+  };
+
+  /** "Emma Wilson" from the structured name (or the explicit full name). */
+  const getFullName = (profile) => {
+    const name = profile?.name || {};
+    if (name.full) return name.full;
+    return [name.given, name.family].filter(Boolean).join(' ');
+  };
+
+  /** File-system safe base name used for downloads, e.g. "Emma-Wilson". */
+  const getFileBaseName = (profile) => {
+    const base = getFullName(profile)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^A-Za-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+    return base || 'Contact';
+  };
+
+  /**
+   * Save a Blob as a file through a temporary link.
+   * With `newTab`, iOS (which ignores `download`) opens the file instead, which starts
+   * the import screen for a .vcf or .ics; desktop browsers still download it.
+   * @param {Blob} blob
+   * @param {string} fileName
+   * @param {{newTab?: boolean}} [options]
+   */
+  const downloadBlob = (blob, fileName, { newTab = false } = {}) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    if (newTab) {
+      link.target = '_blank';
+      link.rel = 'noopener';
+    }
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  /** Single-line postal address, e.g. "123 Main Street, New York, NY 10001". */
+  const formatAddress = (address) => {
+    if (!address) return '';
+    const regionLine = [address.region, address.postalCode].filter(Boolean).join(' ');
+    return [address.street, address.city, regionLine].filter(Boolean).join(', ');
+  };
+
+  const getWhatsAppUrl = (profile) => {
+    const digits = String(profile?.whatsapp || profile?.phone?.number || '').replace(/\D/g, '');
+    return digits ? `https://wa.me/${digits}` : '';
+  };
+
+  const getMapsUrl = (profile) => {
+    const query = formatAddress(profile?.address);
+    if (!query) return '';
+    return `https://maps.google.com/?${new URLSearchParams({ q: query }).toString()}`;
+  };
+
+  /**
+   * Desktop web compose URL for the email row.
+   * socialDeepLinks.js swaps this for mailto: on mobile.
+   * @param {object} profile
+   * @param {{subject?: string, body?: string}} [text] - Translated subject / body
+   */
+  const getEmailComposeUrl = (profile, text = {}) => {
+    if (!profile?.email) return '';
+    const params = new URLSearchParams({
+      view: 'cm',
+      fs: '1',
+      to: profile.email,
+      su: text.subject || 'Contact from Digital Business Card',
+      body: text.body || `Hello ${profile.name?.given || getFullName(profile) || 'there'},\n\n`
+    });
+    return `https://mail.google.com/mail/?${params.toString()}`;
+  };
+
+  const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+  /** Deep merge where arrays and primitives in `override` replace the base value. */
+  const merge = (base, override) => {
+    const result = { ...base };
+    Object.keys(override).forEach((key) => {
+      result[key] = isPlainObject(base[key]) && isPlainObject(override[key])
+        ? merge(base[key], override[key])
+        : override[key];
+    });
+    return result;
+  };
+
+  /**
+   * Profile in another language: `translations[lang]` merged over the base fields.
+   * Returns the profile itself when it has no translation for `lang`.
+   * @param {object|null} profile - Normalized profile
+   * @param {string} lang
+   * @returns {object|null}
+   */
+  const localize = (profile, lang) => {
+    const translation = profile?.translations?.[lang];
+    if (!translation) return profile;
+
+    const localized = merge(profile, translation);
+    // The base full name would otherwise win over the translated given/family names.
+    localized.name = { ...localized.name, full: translation.name?.full || '' };
+    localized.name.full = getFullName(localized);
+    localized.language = lang;
+    return localized;
+  };
+
+  /**
+   * Fill derived fields so consumers don't each need to re-derive them.
+   * @param {object} raw - Parsed card.json
+   * @param {string} profileUrl - Where it was loaded from (for relative asset paths)
+   */
+  const normalizeProfile = (raw, profileUrl) => {
+    if (!raw || typeof raw !== 'object') return null;
+    const profile = { ...raw, name: { ...(raw.name || {}) } };
+    profile.name.full = getFullName(profile);
+    profile.social = Array.isArray(raw.social) ? raw.social.filter((s) => s && s.url) : [];
+    profile.photo = resolveAsset(raw.photo, profileUrl);
+    if (raw.qr?.style?.logo) {
+      profile.qr = { ...raw.qr, style: { ...raw.qr.style, logo: resolveAsset(raw.qr.style.logo, profileUrl) } };
+    }
+    if (raw.gallery) profile.gallery = resolveGallery(raw.gallery, profileUrl);
+    // Translated gallery lists repeat the file paths (lists replace rather than merge)
+    if (raw.translations && typeof raw.translations === 'object') {
+      profile.translations = Object.fromEntries(Object.entries(raw.translations).map(([lang, translation]) => [
+        lang,
+        translation?.gallery ? { ...translation, gallery: resolveGallery(translation.gallery, profileUrl) } : translation
+      ]));
+    }
+    return profile;
+  };
+
+  /** Draft from the editor when the page is opened with `?preview`, else null. */
+  const getPreviewDraft = () => {
+    if (!new URLSearchParams(window.location.search).has('preview')) return null;
+    try {
+      return JSON.parse(sessionStorage.getItem(PREVIEW_STORAGE_KEY) || 'null');
+    } catch {
+      return null;
+    }
+  };
+
+  const fetchProfile = (profileUrl) =>
+    fetch(profileUrl, { cache: 'no-cache' })
+      .then((res) => {
+        if (!res.ok) throw Object.assign(new Error(`HTTP ${res.status}`), { status: res.status });
+        return res.json();
+      })
+      .then((raw) => normalizeProfile(raw, profileUrl));
+
+  /**
+   * Load the profile once. Resolves to the normalized profile or null.
+   * @returns {Promise<object|null>}
+   */
+  const load = () => {
+    if (!profilePromise) {
+      const slug = getSlug();
+      const draft = getPreviewDraft();
+      if (draft) {
+        profilePromise = Promise.resolve(normalizeProfile({ ...draft, analytics: { endpoint: '' } }, getProfileUrl(slug)));
+        return profilePromise;
+      }
+      profilePromise = fetchProfile(getProfileUrl(slug))
+        .catch((err) => {
+          if (!slug) throw err;
+          // The default card under its own slug (also works offline, as /card.json is cached)
+          return fetchProfile(DEFAULT_PROFILE_URL).catch(() => null).then((profile) => {
+            if (profile && String(profile.slug || '').toLowerCase() === slug) return profile;
+            throw err;
+          });
+        })
+        .catch((err) => {
+          if (err.status === 404) loadError = 'not-found';
+          else if (err instanceof TypeError || !navigator.onLine) loadError = 'offline';
+          else loadError = 'unavailable';
+          console.warn(`Failed to load card profile (${loadError}):`, err);
+          return null;
+        });
+    }
+    return profilePromise;
+  };
+
+  /**
+   * Why the profile couldn't be loaded, once load() has resolved to null:
+   * 'not-found' (no such card), 'offline' (never saved on this device) or 'unavailable'.
+   * @returns {string|null}
+   */
+  const getLoadError = () => loadError;
+
+  // Start fetching as early as possible; consumers await the same promise.
+  load();
+
+  window.CardProfile = {
+    PREVIEW_STORAGE_KEY,
+    load,
+    getLoadError,
+    normalize: normalizeProfile,
+    getSlug,
+    getProfileUrl,
+    getCardPath,
+    resolveAsset,
+    getFullName,
+    getFileBaseName,
+    downloadBlob,
+    formatAddress,
+    getWhatsAppUrl,
+    getMapsUrl,
+    getEmailComposeUrl,
+    localize
+  };
+})();
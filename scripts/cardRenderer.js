@@ -0,0 +1,292 @@
+/**
+ * Card Renderer Component
+ * Fills the card markup from the shared profile (card.json).
+ *
+ * Features:
+ * - Header icon, profile photo, name, title and bio
+ * - Contact rows (WhatsApp, website, email, address), updated in place so
+ *   listeners bound by other components keep working
+ * - Footer social icons generated from the profile's `social` list
+ * - Document title, install meta tags and web app manifest (colours from CardTheme)
+ * - Re-renders in the visitor's language (CardI18n) from the profile's translations
+ * - A "card not found" / offline notice when the profile can't be loaded
+ *
+ * index.html carries no owner details of its own, so a card that fails to load
+ * never shows someone else's.
+ */
+
+class CardRenderer {
+  constructor() {
+    this.appCard = document.getElementById('app-card');
+    this.footer = this.appCard ? this.appCard.querySelector('.footer') : null;
+    this.qrCodeButton = document.getElementById('qr-code');
+    this.profile = null;
+    this.init();
+  }
+
+  /**
+   * Load the profile and render it
+   */
+  async init() {
+    if (!this.appCard || !window.CardProfile) return;
+
+    const profile = await window.CardProfile.load();
+    if (!profile) {
+      this.renderUnavailable(window.CardProfile.getLoadError());
+      return;
+    }
+
+    this.profile = profile;
+    this.render();
+    // The installed app keeps the base language; only the page follows the toggle.
+    this.renderManifest(profile);
+
+    window.CardI18n.onChange(() => this.render());
+  }
+
+  /** Render the profile in the current language. */
+  render() {
+    const profile = window.CardProfile.localize(this.profile, window.CardI18n.getLanguage());
+
+    this.renderHeader(profile);
+    this.renderBody(profile);
+    this.renderContacts(profile);
+    this.renderSocialIcons(profile);
+    this.renderDocumentMeta(profile);
+  }
+
+  renderHeader(profile) {
+    const headerIcon = this.appCard.querySelector('.camera-icon .icon');
+    if (headerIcon && profile.headerIcon && window.CardIcons) window.CardIcons.setIcon(headerIcon, profile.headerIcon);
+
+    const photo = this.appCard.querySelector('.profile-image');
+    if (photo) {
+      if (profile.photo) photo.src = profile.photo;
+      photo.alt = profile.name.full;
+      photo.hidden = !profile.photo;
+    }
+  }
+
+  renderBody(profile) {
+    this.setText('.name', profile.name.full);
+    this.setText('.title', profile.title);
+    this.setText('.bio', profile.bio);
+  }
+
+  renderContacts(profile) {
+    const { CardProfile } = window;
+
+    this.renderContactRow('whatsapp', CardProfile.getWhatsAppUrl(profile), profile.phone?.display);
+    this.renderContactRow('website', profile.website, this.getDisplayHost(profile.website));
+    this.renderContactRow('address', CardProfile.getMapsUrl(profile), CardProfile.formatAddress(profile.address));
+
+    const emailName = profile.name.given || profile.name.full;
+    const emailText = {
+      subject: window.CardI18n.t('email.subject'),
+      body: emailName ? window.CardI18n.t('email.body', { name: emailName }) : window.CardI18n.t('email.bodyNoName')
+    };
+    // Campaign links (?utm_…) are noted in the email (launchActions.js)
+    if (emailText.body && window.LaunchActions) emailText.body = window.LaunchActions.withCampaign(emailText.body);
+    const emailLink = this.renderContactRow('email', CardProfile.getEmailComposeUrl(profile, emailText), profile.email);
+    if (emailLink && profile.email) {
+      emailLink.setAttribute('data-email', profile.email);
+      emailLink.setAttribute('data-name', profile.name.full);
+      const copyIcon = emailLink.querySelector('.copy-icon');
+      if (copyIcon) copyIcon.setAttribute('data-copy', profile.email);
+    }
+  }
+
+  /**
+   * Show why the card can't be displayed instead of its details: an unknown
+   * /c/<slug> is "not found", a card never saved on this device offers a retry
+   * (and reloads once back online).
+   * @param {string|null} reason - CardProfile.getLoadError()
+   */
+  renderUnavailable(reason) {
+    const [titleKey, messageKey] = {
+      'not-found': ['card.notFound.title', 'card.notFound.message'],
+      offline: ['offline.title', 'offline.message']
+    }[reason] || ['card.unavailable.title', 'card.unavailable.message'];
+
+    this.appCard.classList.add('card-unavailable');
+    this.appCard.querySelectorAll('.contact-section, .gallery-section, .footer').forEach((el) => {
+      el.hidden = true;
+    });
+
+    const renderText = () => {
+      this.setText('.name', window.CardI18n.t(titleKey));
+      this.setText('.bio', window.CardI18n.t(messageKey));
+      document.title = window.CardI18n.t('doc.title', { heading: window.CardI18n.t(titleKey) });
+    };
+    renderText();
+    window.CardI18n.onChange(renderText);
+
+    const status = this.appCard.querySelector('.card-status');
+    if (status) {
+      const notFound = reason === 'not-found';
+      status.querySelector('[data-card-status="retry"]').hidden = notFound;
+      // Hosted cards link to the default one at /
+      status.querySelector('[data-card-status="main"]').hidden = !notFound || !window.CardProfile.getSlug();
+      status.hidden = false;
+    }
+
+    if (reason === 'offline') window.addEventListener('online', () => window.location.reload(), { once: true });
+  }
+
+  /**
+   * Update one contact row in place, or hide it when the profile has no value.
+   * @param {string} field - Value of the row's data-card-field attribute
+   * @param {string} href - Link target
+   * @param {string} text - Visible label
+   * @returns {HTMLAnchorElement|null} The row's link element
+   */
+  renderContactRow(field, href, text) {
+    const link = this.appCard.querySelector(`[data-card-field="${field}"]`);
+    if (!link) return null;
+
+    // The WhatsApp link lives inside a .contact-item row next to the vCard action.
+    const row = link.closest('.contact-item') || link;
+    if (!href || !text) {
+      row.hidden = true;
+      return null;
+    }
+
+    row.hidden = false;
+    link.setAttribute('href', href);
+    const label = link.querySelector('.contact-text');
+    if (label) label.textContent = text;
+    return link;
+  }
+
+  /**
+   * Rebuild the social links in the footer; the QR button stays last.
+   * Also toggles the opt-in app fallback for those links.
+   */
+  renderSocialIcons(profile) {
+    if (!this.footer) return;
+
+    // Opt-in app fallback modal (see socialDeepLinks.js)
+    if (profile.appFallback === true) this.footer.setAttribute('data-app-fallback', '');
+    else this.footer.removeAttribute('data-app-fallback');
+
+    this.footer.querySelectorAll('.social-link').forEach((el) => el.remove());
+
+    profile.social.forEach((item) => {
+      const link = document.createElement('a');
+      link.href = item.url;
+      link.rel = 'noopener noreferrer';
+      link.className = `social-icon ${item.platform || ''} social-link`.replace(/\s+/g, ' ');
+      link.setAttribute('aria-label', item.label || item.platform || window.CardI18n.t('social.fallbackLabel'));
+      if (item.platform) link.setAttribute('data-platform', item.platform);
+      // Unavailable while offline (connectivity.js)
+      link.setAttribute('data-requires-network', '');
+
+      if (window.CardIcons) link.appendChild(window.CardIcons.create(item.icon || 'link'));
+
+      this.footer.insertBefore(link, this.qrCodeButton && this.qrCodeButton.parentNode === this.footer
+        ? this.qrCodeButton
+        : null);
+    });
+
+    if (window.Connectivity) window.Connectivity.refresh();
+  }
+
+  renderDocumentMeta(profile) {
+    const heading = profile.organization || profile.name.full;
+    document.title = window.CardI18n.t('doc.title', { heading });
+
+    this.setMeta('apple-mobile-web-app-title', profile.app?.shortName || profile.name.full);
+    // theme-color is kept in sync with the palette by theme.js
+  }
+
+  /**
+   * Swap the manifest link for a Blob URL carrying the profile's name and colours.
+   * URLs are made absolute because they would otherwise resolve against the Blob URL.
+   * App shortcuts and the share target open this card; shortcuts are dropped when
+   * the profile has nothing to call or message.
+   */
+  async renderManifest(profile) {
+    const link = document.querySelector('link[rel="manifest"]');
+    if (!link) return;
+
+    try {
+      const baseUrl = link.href;
+      const res = await fetch(baseUrl, { cache: 'no-cache' });
+      if (!res.ok) return;
+      const manifest = await res.json();
+      // Install colours follow the theme's light palette (preset + overrides)
+      const app = window.CardTheme ? window.CardTheme.getAppColors(profile) : profile.app || {};
+
+      manifest.name = window.CardI18n.t('manifest.name', { name: profile.name.full });
+      manifest.short_name = app.shortName || profile.name.full;
+      manifest.description = app.description || window.CardI18n.t('manifest.description', {
+        name: [profile.name.full, profile.title].filter(Boolean).join(' — ')
+      });
+      if (app.themeColor) manifest.theme_color = app.themeColor;
+      if (app.backgroundColor) manifest.background_color = app.backgroundColor;
+
+      const toAbsolute = (url) => new URL(url, baseUrl).toString();
+      // Each hosted card (/c/<slug>) installs as its own app.
+      const cardPath = window.CardProfile.getCardPath();
+      manifest.id = toAbsolute(cardPath);
+      manifest.start_url = toAbsolute(cardPath === '/' ? manifest.start_url || '/' : cardPath);
+      manifest.scope = toAbsolute(cardPath === '/' ? manifest.scope || '/' : cardPath);
+      const withAbsoluteSrc = (images) => (images || []).map((image) => ({ ...image, src: toAbsolute(image.src) }));
+      manifest.icons = withAbsoluteSrc(manifest.icons);
+      manifest.screenshots = withAbsoluteSrc(manifest.screenshots);
+
+      const available = {
+        call: Boolean(profile.phone?.number),
+        whatsapp: Boolean(window.CardProfile.getWhatsAppUrl(profile))
+      };
+      manifest.shortcuts = (manifest.shortcuts || [])
+        .map((shortcut) => ({ ...shortcut, url: new URL(shortcut.url, baseUrl) }))
+        .filter(({ url }) => available[url.searchParams.get('action')] !== false)
+        .map((shortcut) => ({
+          ...shortcut,
+          // Same ?action=, on this card's path
+          url: toAbsolute(`${cardPath}${shortcut.url.search}`),
+          icons: withAbsoluteSrc(shortcut.icons)
+        }));
+      if (manifest.share_target) {
+        const action = new URL(manifest.share_target.action, baseUrl);
+        manifest.share_target = { ...manifest.share_target, action: toAbsolute(`${cardPath}${action.search}`) };
+      }
+
+      const blob = new Blob([JSON.stringify(manifest)], { type: 'application/manifest+json' });
+      link.href = URL.createObjectURL(blob);
+    } catch (err) {
+      // Silent fail: the static manifest remains valid.
+      console.warn('Failed to apply profile to manifest:', err);
+    }
+  }
+
+  /** "www.emmawilson.com" from "https://www.emmawilson.com/". */
+  getDisplayHost(url) {
+    if (!url) return '';
+    try {
+      const u = new URL(url);
+      const path = u.pathname === '/' ? '' : u.pathname;
+      return `${u.hostname}${path}`;
+    } catch {
+      return url;
+    }
+  }
+
+  setText(selector, text) {
+    const el = this.appCard.querySelector(selector);
+    if (!el) return;
+    el.textContent = text || '';
+    el.hidden = !text;
+  }
+
+  setMeta(name, content) {
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    if (meta && content) meta.setAttribute('content', content);
+  }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new CardRenderer();
+});
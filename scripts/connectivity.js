@@ -0,0 +1,91 @@
+/**
+ * Connectivity
+ * Tracks online / offline and marks the actions that need the network.
+ *
+ * - Markup opts in with `data-requires-network` (website, maps, social links,
+ *   WhatsApp, app store links). While offline those get `aria-disabled="true"`,
+ *   clicks on them are stopped and #a11y-status explains why
+ * - Everything else keeps working offline: copying, Add to Contacts (built on the
+ *   device), the QR code, the contact exchange outbox
+ * - Going offline or back online is announced once per change
+ * - Elements rendered later (e.g. social links from card.json) are picked up by
+ *   calling `Connectivity.refresh()`
+ */
+
+(() => {
+  const SELECTOR = '[data-requires-network]';
+
+  const listeners = [];
+
+  const isOnline = () => navigator.onLine !== false;
+
+  const announce = (message) => {
+    const status = document.getElementById('a11y-status');
+    if (!status) return;
+    status.textContent = '';
+    setTimeout(() => {
+      status.textContent = message;
+    }, 10);
+  };
+
+  /** Mark network-dependent actions for the current state. */
+  const refresh = () => {
+    const offline = !isOnline();
+    document.documentElement.toggleAttribute('data-offline', offline);
+    document.querySelectorAll(SELECTOR).forEach((el) => {
+      if (offline) el.setAttribute('aria-disabled', 'true');
+      else el.removeAttribute('aria-disabled');
+    });
+  };
+
+  const announceOffline = () => {
+    announce(window.CardI18n.t('offline.status'));
+  };
+
+  const handleChange = () => {
+    refresh();
+    if (isOnline()) announce(window.CardI18n.t('offline.back'));
+    else announceOffline();
+
+    listeners.forEach((callback) => {
+      try {
+        callback(isOnline());
+      } catch (err) {
+        console.error('Connectivity change handler failed:', err);
+      }
+    });
+  };
+
+  /**
+   * Run a callback whenever the connection goes or comes back.
+   * @param {function(boolean): void} callback - receives whether the page is online
+   */
+  const onChange = (callback) => {
+    listeners.push(callback);
+  };
+
+  // Capture phase: runs before the components' own click handlers
+  document.addEventListener('click', (e) => {
+    if (isOnline()) return;
+    const target = e.target.closest(SELECTOR);
+    if (!target) return;
+
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    announce(window.CardI18n.t('offline.unavailable'));
+  }, true);
+
+  window.addEventListener('online', handleChange);
+  window.addEventListener('offline', handleChange);
+
+  // Scripts load at the end of <body>: mark the static markup now, announce only
+  // when the page opened without a connection
+  refresh();
+  if (!isOnline()) announceOffline();
+
+  window.Connectivity = {
+    isOnline,
+    onChange,
+    refresh
+  };
+})();
@@ -0,0 +1,424 @@
+/**
+ * Contact Exchange Component
+ * "Leave your details": visitors send the card owner their name, phone, email and
+ * a note, with explicit consent.
+ *
+ * Delivery (card.json `exchange.endpoint`):
+ * - With an endpoint, the submission is POSTed as JSON (the endpoint must allow CORS)
+ * - Offline, or when the endpoint can't be reached, it is kept in IndexedDB
+ *   ("card-contact-exchange") and sent by sw.js on Background Sync; browsers
+ *   without Background Sync retry from the page when the connection returns or
+ *   on the next visit
+ * - Without an endpoint, the visitor's email app opens with the details addressed to
+ *   the owner (DigitalCardActions.buildMailtoUrl)
+ *
+ * Payload: { name, phone, email, note, consent, consentText, card, language, submittedAt }
+ *
+ * Also: inline validation, a ModalManager dialog (focus trap, Escape to close),
+ * #a11y-status announcements and English / Arabic text (CardI18n).
+ *
+ * The instance is exposed as `window.contactExchange` (launchActions.js opens the
+ * form with the note filled in for what was shared to the installed card).
+ */
+
+class ContactExchangeHandler {
+  constructor() {
+    this.openButton = document.getElementById('exchange-open');
+    this.modal = document.getElementById('exchange-modal');
+    this.form = document.getElementById('exchange-form');
+    this.modalClose = this.modal ? this.modal.querySelector('.exchange-modal-close') : null;
+    this.introEl = document.getElementById('exchange-intro');
+    this.statusEl = document.getElementById('exchange-status');
+    this.consentLabel = document.getElementById('exchange-consent-label');
+    this.submitButton = document.getElementById('exchange-submit');
+    this.a11yStatusEl = document.getElementById('a11y-status');
+    this.profile = null;
+    this.sending = false;
+    this.flushing = false;
+    // Shared with sw.js (sync event): keep the names in step.
+    this.outboxDb = 'card-contact-exchange';
+    this.outboxStore = 'outbox';
+    this.syncTag = 'contact-exchange';
+    this.init();
+  }
+
+  init() {
+    if (!this.openButton || !this.modal || !this.form) return;
+
+    this.openButton.addEventListener('click', (e) => this.openModal(e));
+    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    this.form.addEventListener('input', (e) => this.handleInput(e));
+
+    if (window.CardProfile) {
+      window.CardProfile.load().then((profile) => this.applyProfile(profile));
+    }
+    window.CardI18n.onChange(() => this.applyText());
+
+    // Without Background Sync the page itself retries what was saved offline.
+    if (!('SyncManager' in window)) {
+      window.addEventListener('online', () => this.sendQueued());
+    }
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'CONTACT_EXCHANGE_SENT') {
+          this.announce(window.CardI18n.t('exchange.queuedSent'));
+        }
+      });
+    }
+  }
+
+  /**
+   * Show the action when the details can go somewhere (endpoint or owner email)
+   * @param {object|null} profile
+   */
+  applyProfile(profile) {
+    if (!profile) return;
+    this.profile = profile;
+    this.openButton.hidden = !this.getEndpoint() && !profile.email;
+    this.applyText();
+    if (!('SyncManager' in window)) this.sendQueued();
+  }
+
+  /** Owner-specific intro and consent text, in the current language. */
+  applyText() {
+    if (!this.profile) return;
+    const profile = window.CardProfile.localize(this.profile, window.CardI18n.getLanguage());
+    const name = window.CardProfile.getFullName(profile);
+    if (!name) return;
+
+    if (this.introEl) {
+      this.introEl.textContent = window.CardI18n.t('exchange.introNamed', { name });
+    }
+    if (this.consentLabel) {
+      this.consentLabel.textContent = window.CardI18n.t('exchange.consentNamed', { name });
+    }
+  }
+
+  getEndpoint() {
+    return (this.profile?.exchange?.endpoint || '').trim();
+  }
+
+  /* ---------- Dialog ---------- */
+
+  /**
+   * @param {Event} [e]
+   * @returns {Promise<void>} Settles when the dialog closes
+   */
+  openModal(e) {
+    if (e && typeof e.preventDefault === 'function') e.preventDefault();
+    if (!window.ModalManager) return Promise.resolve();
+
+    this.showStatus('');
+    return window.ModalManager.open(this.modal, {
+      initialFocus: () => this.form.querySelector('input')
+    });
+  }
+
+  /**
+   * Open the form with the note filled in (e.g. a link shared to the installed card)
+   * @param {string} note
+   * @returns {Promise<void>} Settles when the dialog closes
+   */
+  openWithNote(note) {
+    const field = this.form ? this.form.elements.note : null;
+    if (field) field.value = field.maxLength > 0 ? note.slice(0, field.maxLength) : note;
+    return this.openModal();
+  }
+
+  /**
+   * @param {Event} [e]
+   */
+  closeModal(e) {
+    if (e && typeof e.preventDefault === 'function') e.preventDefault();
+    if (window.ModalManager) window.ModalManager.close(this.modal);
+  }
+
+  /* ---------- Form ---------- */
+
+  /**
+   * Re-check shown errors as the visitor fixes them (phone and email depend on each other)
+   * @param {InputEvent} e
+   */
+  handleInput(e) {
+    const { name } = e.target;
+    const related = { phone: ['phone', 'email'], email: ['email', 'phone'] }[name] || [name];
+    const shown = related.filter((field) => this.form.elements[field]?.getAttribute('aria-invalid') === 'true');
+    if (shown.length) this.validate(shown);
+  }
+
+  readForm() {
+    const value = (name) => (this.form.elements[name]?.value || '').trim();
+    return {
+      name: value('name'),
+      phone: value('phone'),
+      email: value('email'),
+      note: value('note'),
+      consent: Boolean(this.form.elements.consent?.checked)
+    };
+  }
+
+  /**
+   * Validate some or all fields, showing messages next to them
+   * @param {string[]} [names] - Field names; all by default
+   * @returns {HTMLElement|null} First invalid field
+   */
+  validate(names = ['name', 'phone', 'email', 'consent']) {
+    const data = this.readForm();
+    const errors = {
+      name: data.name ? '' : window.CardI18n.t('exchange.error.name'),
+      phone: data.phone && data.phone.replace(/\D/g, '').length < 6
+        ? window.CardI18n.t('exchange.error.phone')
+        : '',
+      email: '',
+      consent: data.consent ? '' : window.CardI18n.t('exchange.error.consent')
+    };
+    if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+      errors.email = window.CardI18n.t('exchange.error.email');
+    } else if (!data.email && !data.phone) {
+      // One way to reach the visitor is enough; the message sits under the email field.
+      errors.email = window.CardI18n.t('exchange.error.contact');
+    }
+
+    let firstInvalid = null;
+    names.forEach((name) => {
+      const field = this.form.elements[name];
+      if (!field) return;
+      this.setFieldError(field, errors[name] || '');
+      if (errors[name] && !firstInvalid) firstInvalid = field;
+    });
+    return firstInvalid;
+  }
+
+  setFieldError(field, message) {
+    const errorEl = document.getElementById(`${field.id}-error`);
+    if (message) field.setAttribute('aria-invalid', 'true');
+    else field.removeAttribute('aria-invalid');
+    if (errorEl) {
+      errorEl.textContent = message;
+      errorEl.hidden = !message;
+    }
+  }
+
+  /**
+   * @param {SubmitEvent} e
+   */
+  async handleSubmit(e) {
+    e.preventDefault();
+    if (this.sending) return;
+
+    const invalid = this.validate();
+    if (invalid) {
+      invalid.focus();
+      return;
+    }
+
+    const data = this.readForm();
+    const entry = {
+      ...data,
+      consentText: this.consentLabel ? this.consentLabel.textContent.trim() : '',
+      card: window.CardProfile ? window.CardProfile.getCardPath() : window.location.pathname,
+      language: window.CardI18n.getLanguage(),
+      submittedAt: new Date().toISOString()
+    };
+
+    if (!this.getEndpoint()) {
+      this.composeEmail(entry);
+      return;
+    }
+
+    this.setSending(true);
+    try {
+      const result = await this.submit(entry);
+      if (window.CardAnalytics) window.CardAnalytics.track('contact_exchanged', { method: result });
+      this.form.reset();
+      this.showStatus(result === 'queued'
+        ? window.CardI18n.t('exchange.queued')
+        : window.CardI18n.t('exchange.sent'));
+    } catch (error) {
+      console.error('Contact exchange failed:', error);
+      this.showStatus(window.CardI18n.t('exchange.failed'));
+    } finally {
+      this.setSending(false);
+    }
+  }
+
+  setSending(sending) {
+    this.sending = sending;
+    this.submitButton.disabled = sending;
+    const label = this.submitButton.querySelector('span');
+    if (label) {
+      label.textContent = sending
+        ? window.CardI18n.t('exchange.sending')
+        : window.CardI18n.t('exchange.send');
+    }
+  }
+
+  /** Visible result message, also announced to screen readers. */
+  showStatus(message) {
+    if (!this.statusEl) return;
+    this.statusEl.textContent = message;
+    this.statusEl.hidden = !message;
+    if (message) this.announce(message);
+  }
+
+  /* ---------- Delivery ---------- */
+
+  /**
+   * POST now, or keep for later when the endpoint can't be reached
+   * @param {object} entry
+   * @returns {Promise<'sent'|'queued'>}
+   */
+  async submit(entry) {
+    const endpoint = this.getEndpoint();
+    try {
+      await this.post(endpoint, entry);
+      return 'sent';
+    } catch (error) {
+      // The endpoint refused the submission itself: retrying won't help.
+      if (error.permanent) throw error;
+      await this.queue(endpoint, entry);
+      return 'queued';
+    }
+  }
+
+  /**
+   * @param {string} endpoint
+   * @param {object} entry
+   */
+  async post(endpoint, entry) {
+    if (navigator.onLine === false) throw new Error('Offline');
+
+    const res = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(entry),
+      keepalive: true
+    });
+    if (res.ok) return;
+
+    const error = new Error(`HTTP ${res.status}`);
+    // 4xx means the request is wrong, except timeouts and rate limits
+    error.permanent = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+    throw error;
+  }
+
+  openOutbox() {
+    return new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB unavailable'));
+        return;
+      }
+      const request = indexedDB.open(this.outboxDb, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.outboxStore, { autoIncrement: true });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /** Run one outbox transaction; resolves with the last request's result once it commits. */
+  async withOutbox(mode, run) {
+    const db = await this.openOutbox();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.outboxStore, mode);
+      const request = run(tx.objectStore(this.outboxStore));
+      tx.oncomplete = () => {
+        db.close();
+        resolve(request ? request.result : undefined);
+      };
+      tx.onerror = () => {
+        db.close();
+        reject(tx.error);
+      };
+    });
+  }
+
+  /**
+   * Save a submission and ask the service worker to send it once online
+   * @param {string} endpoint
+   * @param {object} entry
+   */
+  async queue(endpoint, entry) {
+    await this.withOutbox('readwrite', (store) => store.add({ endpoint, entry, queuedAt: new Date().toISOString() }));
+
+    try {
+      const registration = 'serviceWorker' in navigator ? await navigator.serviceWorker.getRegistration() : null;
+      if (registration && registration.sync) await registration.sync.register(this.syncTag);
+    } catch (error) {
+      // The page retries when it comes back online instead.
+      console.warn('Background Sync unavailable:', error);
+    }
+  }
+
+  /** Send saved submissions from the page (browsers without Background Sync). */
+  async sendQueued() {
+    if (navigator.onLine === false || this.flushing) return;
+    this.flushing = true;
+
+    let records = [];
+    try {
+      let values = [];
+      const keys = await this.withOutbox('readonly', (store) => {
+        const all = store.getAll();
+        all.onsuccess = () => {
+          values = all.result;
+        };
+        return store.getAllKeys();
+      });
+      records = keys.map((key, i) => ({ key, ...values[i] }));
+    } catch {
+      // No IndexedDB: nothing can have been saved.
+    }
+
+    let sent = 0;
+    for (const { key, endpoint, entry } of records) {
+      try {
+        await this.post(endpoint, entry);
+        sent += 1;
+      } catch (error) {
+        if (!error.permanent) continue;
+        console.warn('Saved contact details refused by the endpoint:', error);
+      }
+      await this.withOutbox('readwrite', (store) => store.delete(key)).catch(() => {});
+    }
+    this.flushing = false;
+    if (sent) this.announce(window.CardI18n.t('exchange.queuedSent'));
+  }
+
+  /**
+   * No endpoint: the visitor's email app sends the details to the owner
+   * @param {object} entry
+   */
+  composeEmail(entry) {
+    const actions = window.DigitalCardActions;
+    if (!actions || !this.profile?.email) return;
+
+    const lines = [
+      `${window.CardI18n.t('exchange.name')}: ${entry.name}`,
+      entry.phone && `${window.CardI18n.t('exchange.phone')}: ${entry.phone}`,
+      entry.email && `${window.CardI18n.t('exchange.email')}: ${entry.email}`,
+      entry.note && `\n${entry.note}`,
+      `\n${entry.consentText}`
+    ].filter(Boolean);
+
+    if (window.CardAnalytics) window.CardAnalytics.track('contact_exchanged', { method: 'email' });
+    this.announce(window.CardI18n.t('exchange.emailOpening'));
+    this.closeModal();
+    window.location.href = actions.buildMailtoUrl({
+      to: this.profile.email,
+      subject: window.CardI18n.t('exchange.emailSubject', { name: entry.name }),
+      body: lines.join('\n')
+    });
+  }
+
+  announce(message) {
+    if (!this.a11yStatusEl) return;
+    this.a11yStatusEl.textContent = '';
+    window.setTimeout(() => {
+      this.a11yStatusEl.textContent = message;
+    }, 10);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.contactExchange = new ContactExchangeHandler();
+});
@@ -23,35 +23,6 @@ class CopyToClipboard {
     this.copyIcons.forEach(icon => {
       icon.addEventListener('click', (e) => this.handleCopyActivate(e));
       icon.addEventListener('keydown', (e) => this.handleCopyKeydown(e));
-      
-      // Add mobile touch event handlers for focus clearing (no visual feedback)
-      icon.addEventListener('touchstart', (e) => {
-        e.target.blur();
-        const parentRow = e.target.closest('.contact-button, .contact-item, .contact-primary');
-        if (parentRow) {
-          parentRow.blur();
-        }
-      });
-      
-      icon.addEventListener('touchend', (e) => {
-        // Clear focus
-        setTimeout(() => {
-          e.target.blur();
-          const parentRow = e.target.closest('.contact-button, .contact-item, .contact-primary');
-          if (parentRow) {
-            parentRow.blur();
-          }
-        }, 100);
-      });
-      
-      // Handle touch cancel
-      icon.addEventListener('touchcancel', (e) => {
-        e.target.blur();
-        const parentRow = e.target.closest('.contact-button, .contact-item, .contact-primary');
-        if (parentRow) {
-          parentRow.blur();
-        }
-      });
     });
   }
 
@@ -67,7 +38,7 @@ class CopyToClipboard {
     
     if (!textToCopy) {
       console.warn('No copy data found on element');
-      this.announce('Nothing to copy.');
+      this.announce(window.CardI18n.t('copy.empty'));
       return;
     }
 
@@ -95,7 +66,8 @@ class CopyToClipboard {
     try {
       await navigator.clipboard.writeText(text);
       this.showCheckmark(iconElement);
-      this.announce('Copied to clipboard.');
+      this.announce(window.CardI18n.t('copy.done'));
+      this.trackCopy(iconElement);
     } catch (err) {
       console.error('Failed to copy text: ', err);
       // Fallback for older browsers
@@ -121,15 +93,26 @@ class CopyToClipboard {
     try {
       document.execCommand('copy');
       this.showCheckmark(iconElement);
-      this.announce('Copied to clipboard.');
+      this.announce(window.CardI18n.t('copy.done'));
+      this.trackCopy(iconElement);
     } catch (err) {
       console.error('Fallback copy failed: ', err);
-      this.announce('Copy failed.');
+      this.announce(window.CardI18n.t('copy.failed'));
     }
     
     document.body.removeChild(textArea);
   }
 
+  /**
+   * Report the copy to analytics with the copied field (e.g. "email")
+   * @param {HTMLElement} iconElement - The copy icon element
+   */
+  trackCopy(iconElement) {
+    if (!window.CardAnalytics) return;
+    const row = iconElement ? iconElement.closest('[data-card-field]') : null;
+    window.CardAnalytics.track('copy_used', { field: row ? row.dataset.cardField : 'text' });
+  }
+
   /**
    * Show checkmark indication on copy button
    * @param {HTMLElement} iconElement - The copy icon element
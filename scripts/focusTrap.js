@@ -0,0 +1,62 @@
+/**
+ * Focus Trap
+ * Keeps Tab / Shift+Tab inside an open dialog. ModalManager calls
+ * `handleTab(e, container)` for the dialog on top.
+ */
+
+(() => {
+  const SELECTOR = [
+    'a[href]',
+    'button:not([disabled])',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+  ].join(',');
+
+  /**
+   * Focusable elements in a container, in tab order
+   * @param {HTMLElement} container
+   * @param {string} [selector]
+   * @returns {HTMLElement[]}
+   */
+  const getFocusables = (container, selector = SELECTOR) =>
+    Array.from(container.querySelectorAll(selector))
+      // Filter out elements that are not visible (defensive)
+      .filter((el) => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length));
+
+  /**
+   * Loop Tab / Shift+Tab between the first and last focusable elements
+   * @param {KeyboardEvent} e
+   * @param {HTMLElement} container
+   * @param {string} [selector]
+   */
+  const handleTab = (e, container, selector) => {
+    if (e.key !== 'Tab' || !container) return;
+
+    const focusables = getFocusables(container, selector);
+    if (focusables.length === 0) return;
+
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+
+    // If Shift+Tab on first, loop to last
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+      return;
+    }
+
+    // If Tab on last, loop to first
+    if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  window.FocusTrap = {
+    SELECTOR,
+    getFocusables,
+    handleTab
+  };
+})();
@@ -0,0 +1,311 @@
+/**
+ * Gallery Component
+ * Portfolio grid from card.json `gallery.images`, with a full-screen lightbox.
+ *
+ * card.json:
+ * "gallery": {
+ *   "images": [{
+ *     "src": "assets/gallery/wedding-1600.jpg",     // fallback (and the only file without srcset)
+ *     "srcset": { "480": "assets/gallery/wedding-480.jpg", "1600": "assets/gallery/wedding-1600.jpg" },
+ *     "width": 1600, "height": 1067,                 // intrinsic size, reserves the space
+ *     "alt": "Bride and groom under an oak tree",
+ *     "caption": "Weddings"
+ *   }]
+ * }
+ * `srcset` maps each file's pixel width to its path. Alt text and captions translate
+ * through `translations.<lang>.gallery.images` (list every image).
+ *
+ * - Thumbnails lazy-load and let the browser pick a file by size
+ * - Lightbox: a ModalManager dialog with arrow keys, Home / End, swipe and Escape;
+ *   focus stays inside it and returns to the thumbnail of the photo last shown
+ * - Once the page is idle, the files this screen uses (one thumbnail and one lightbox
+ *   size per photo) are handed to sw.js to cache, so the gallery works offline after
+ *   the first visit. Skipped when the visitor asked to save data.
+ */
+
+class GalleryHandler {
+  constructor() {
+    this.section = document.getElementById('gallery');
+    this.grid = document.getElementById('gallery-grid');
+    this.lightbox = document.getElementById('gallery-lightbox');
+    this.lightboxImage = document.getElementById('gallery-lightbox-image');
+    this.lightboxCaption = document.getElementById('gallery-lightbox-caption');
+    this.lightboxCounter = document.getElementById('gallery-lightbox-counter');
+    this.lightboxClose = this.lightbox ? this.lightbox.querySelector('.gallery-lightbox-close') : null;
+    this.prevButton = this.lightbox ? this.lightbox.querySelector('.gallery-lightbox-prev') : null;
+    this.nextButton = this.lightbox ? this.lightbox.querySelector('.gallery-lightbox-next') : null;
+    this.a11yStatusEl = document.getElementById('a11y-status');
+    this.profile = null;
+    this.images = [];
+    this.index = 0;
+    this.touchStart = null;
+    // Thumbnails fill a third of the card (the card is at most ~480px wide)
+    this.thumbSizes = '(max-width: 480px) 31vw, 150px';
+    // Horizontal travel (px) that counts as a swipe
+    this.swipeThreshold = 50;
+    this.init();
+  }
+
+  init() {
+    if (!this.section || !this.grid || !this.lightbox || !this.lightboxImage) return;
+
+    this.grid.addEventListener('click', (e) => {
+      const thumb = e.target.closest('[data-gallery-index]');
+      if (thumb) this.openLightbox(Number(thumb.dataset.galleryIndex));
+    });
+    if (this.prevButton) this.prevButton.addEventListener('click', () => this.step(-1));
+    if (this.nextButton) this.nextButton.addEventListener('click', () => this.step(1));
+    this.lightbox.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
+    this.lightbox.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: true });
+
+    if (window.CardProfile) {
+      window.CardProfile.load().then((profile) => this.applyProfile(profile));
+    }
+    window.CardI18n.onChange(() => this.render());
+  }
+
+  /**
+   * @param {object|null} profile
+   */
+  applyProfile(profile) {
+    if (!profile) return;
+    this.profile = profile;
+    this.render();
+    this.precache();
+  }
+
+  /** Images with a file, in the current language (alt text, captions). */
+  getImages() {
+    if (!this.profile) return [];
+    const profile = window.CardI18n
+      ? window.CardProfile.localize(this.profile, window.CardI18n.getLanguage())
+      : this.profile;
+    const images = profile.gallery?.images;
+    return Array.isArray(images) ? images.filter((image) => image && image.src) : [];
+  }
+
+  render() {
+    this.images = this.getImages();
+    this.section.hidden = this.images.length === 0;
+    this.grid.replaceChildren(...this.images.map((image, i) => this.createThumb(image, i)));
+    if (this.isOpen()) this.show(Math.min(this.index, this.images.length - 1));
+  }
+
+  createThumb(image, index) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'gallery-thumb';
+    button.dataset.galleryIndex = String(index);
+    const label = window.CardI18n.t('gallery.view', { index: index + 1, total: this.images.length });
+    button.setAttribute('aria-label', image.alt ? `${label}: ${image.alt}` : label);
+
+    const img = document.createElement('img');
+    img.src = image.src;
+    const srcset = this.getSrcset(image);
+    if (srcset) {
+      img.srcset = srcset;
+      img.sizes = this.thumbSizes;
+    }
+    if (image.width && image.height) {
+      img.width = image.width;
+      img.height = image.height;
+    }
+    img.alt = '';
+    img.setAttribute('loading', 'lazy');
+    img.setAttribute('decoding', 'async');
+
+    button.appendChild(img);
+    item.appendChild(button);
+    return item;
+  }
+
+  /* ---------- Responsive sources ---------- */
+
+  /** [{ url, width }] from `srcset`, narrowest first. */
+  getCandidates(image) {
+    return Object.entries(image.srcset || {})
+      .map(([width, url]) => ({ url, width: parseInt(width, 10) }))
+      .filter((candidate) => candidate.url && candidate.width > 0)
+      .sort((a, b) => a.width - b.width);
+  }
+
+  getSrcset(image) {
+    return this.getCandidates(image).map(({ url, width }) => `${url} ${width}w`).join(', ');
+  }
+
+  /**
+   * File for a display width: the narrowest one covering it at this screen's pixel
+   * density, else the widest (the same choice browsers make from `srcset`)
+   * @param {object} image
+   * @param {number} cssWidth
+   * @returns {string}
+   */
+  pickSource(image, cssWidth) {
+    const candidates = this.getCandidates(image);
+    if (!candidates.length) return image.src;
+    const needed = cssWidth * (window.devicePixelRatio || 1);
+    return (candidates.find((candidate) => candidate.width >= needed) || candidates[candidates.length - 1]).url;
+  }
+
+  getLightboxWidth() {
+    return window.innerWidth || 1024;
+  }
+
+  /** Ask sw.js to cache the files this screen shows, once the page is idle. */
+  precache() {
+    if (!this.images.length || !('serviceWorker' in navigator)) return;
+    if (navigator.connection && navigator.connection.saveData) return;
+
+    const run = () => {
+      const thumb = this.grid.querySelector('.gallery-thumb');
+      const thumbWidth = thumb ? thumb.getBoundingClientRect().width || 150 : 150;
+      const urls = new Set();
+      // Base profile: file paths are the same in every language
+      this.profile.gallery.images.filter((image) => image && image.src).forEach((image) => {
+        urls.add(this.pickSource(image, thumbWidth));
+        urls.add(this.pickSource(image, this.getLightboxWidth()));
+      });
+
+      navigator.serviceWorker.ready
+        .then((registration) => {
+          if (registration.active) registration.active.postMessage({ type: 'PRECACHE_GALLERY', urls: [...urls] });
+        })
+        .catch(() => {});
+    };
+
+    if ('requestIdleCallback' in window) window.requestIdleCallback(run, { timeout: 5000 });
+    else window.setTimeout(run, 2000);
+  }
+
+  /* ---------- Lightbox ---------- */
+
+  isOpen() {
+    return this.lightbox.classList.contains('active');
+  }
+
+  /**
+   * Show one image in the lightbox
+   * @param {number} index
+   * @returns {string} What to announce ("2 of 6: alt text")
+   */
+  show(index) {
+    const total = this.images.length;
+    if (!total) return;
+    this.index = (index + total) % total;
+    const image = this.images[this.index];
+
+    this.lightboxImage.src = this.pickSource(image, this.getLightboxWidth());
+    this.lightboxImage.alt = image.alt || '';
+    if (this.lightboxCaption) {
+      this.lightboxCaption.textContent = image.caption || '';
+      this.lightboxCaption.hidden = !image.caption;
+    }
+    const counter = window.CardI18n.t('gallery.counter', { index: this.index + 1, total });
+    if (this.lightboxCounter) this.lightboxCounter.textContent = counter;
+    if (this.prevButton) this.prevButton.hidden = total < 2;
+    if (this.nextButton) this.nextButton.hidden = total < 2;
+    return image.alt ? `${counter}: ${image.alt}` : counter;
+  }
+
+  /**
+   * Next (1) or previous (-1) image, wrapping around
+   * @param {number} delta
+   */
+  step(delta) {
+    if (this.images.length < 2) return;
+    this.announce(this.show(this.index + delta));
+  }
+
+  /**
+   * @param {number} index
+   */
+  openLightbox(index) {
+    if (!this.images[index] || !window.ModalManager) return;
+
+    this.show(index);
+    window.ModalManager.open(this.lightbox, {
+      initialFocus: this.lightboxClose,
+      // Back to the thumbnail of the photo last shown
+      returnFocus: () => this.grid.querySelector(`[data-gallery-index="${this.index}"]`),
+      onKeydown: (e) => this.handleKeydown(e)
+    });
+  }
+
+  /**
+   * @param {Event} [e]
+   */
+  closeLightbox(e) {
+    if (e && typeof e.preventDefault === 'function') e.preventDefault();
+    if (window.ModalManager) window.ModalManager.close(this.lightbox);
+  }
+
+  /** "Next" is to the left in right-to-left layouts. */
+  isRTL() {
+    return document.documentElement.dir === 'rtl';
+  }
+
+  /**
+   * Arrows browse, Home / End jump (Escape and Tab are ModalManager's)
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowRight':
+      case 'ArrowLeft': {
+        e.preventDefault();
+        const forward = (e.key === 'ArrowRight') !== this.isRTL();
+        this.step(forward ? 1 : -1);
+        break;
+      }
+      case 'Home':
+        e.preventDefault();
+        this.announce(this.show(0));
+        break;
+      case 'End':
+        e.preventDefault();
+        this.announce(this.show(this.images.length - 1));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * @param {TouchEvent} e
+   */
+  handleTouchStart(e) {
+    const touch = e.changedTouches[0];
+    this.touchStart = e.touches.length === 1 && touch ? { x: touch.clientX, y: touch.clientY } : null;
+  }
+
+  /**
+   * Mostly-horizontal swipe: left shows the next photo (right in RTL)
+   * @param {TouchEvent} e
+   */
+  handleTouchEnd(e) {
+    const start = this.touchStart;
+    const touch = e.changedTouches[0];
+    this.touchStart = null;
+    if (!start || !touch) return;
+
+    const dx = touch.clientX - start.x;
+    const dy = touch.clientY - start.y;
+    if (Math.abs(dx) < this.swipeThreshold || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+
+    const forward = (dx < 0) !== this.isRTL();
+    this.step(forward ? 1 : -1);
+  }
+
+  announce(message) {
+    if (!this.a11yStatusEl) return;
+    this.a11yStatusEl.textContent = '';
+    window.setTimeout(() => {
+      this.a11yStatusEl.textContent = message;
+    }, 10);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new GalleryHandler();
+});
@@ -0,0 +1,500 @@
+/**
+ * Card i18n
+ * English / Arabic strings, document direction and the language toggle.
+ *
+ * Features:
+ * - Static markup: `data-i18n="key"` sets textContent, `data-i18n-aria-label="key"`
+ *   sets aria-label
+ * - Components call `CardI18n.t(key, params)` for announcements, labels and
+ *   email text, and `CardI18n.onChange(callback)` to re-render
+ * - `<html lang dir>` follows the language (Arabic is right-to-left; main.css
+ *   mirrors the layout under `[dir="rtl"]`)
+ * - Choice remembered in localStorage; first visit defaults from navigator.languages;
+ *   a `?lang=ar` URL parameter wins for that page view (not remembered)
+ * - Card content (name, title, bio, vCard, QR messages) comes from the profile's
+ *   `translations` via CardProfile.localize(); languages the card doesn't offer
+ *   are not selectable
+ */
+
+(() => {
+  const STORAGE_KEY = 'card-language';
+  const DEFAULT_LANGUAGE = 'en';
+  const RTL_LANGUAGES = ['ar'];
+
+  const STRINGS = {
+    en: {
+      'lang.toggle': 'العربية',
+      'lang.toggleLabel': 'عرض البطاقة بالعربية (Switch to Arabic)',
+      'doc.title': '{heading} | Digital Business Card',
+      'manifest.name': '{name} — Digital Business Card',
+      'manifest.description': 'Digital business card for {name}.',
+
+      'contact.whatsapp': 'Open WhatsApp chat',
+      'contact.addToContacts': 'Add to contacts',
+      'contact.copyEmail': 'Copy email address',
+      'footer.qr': 'QR Code',
+      'footer.share': 'Share this card',
+      'social.fallbackLabel': 'Social profile',
+
+      'copy.done': 'Copied to clipboard.',
+      'copy.failed': 'Copy failed.',
+      'copy.empty': 'Nothing to copy.',
+      'vcard.opening': 'Opening contact card.',
+
+      'email.subject': 'Contact from Digital Business Card',
+      'email.body': 'Hello {name},\n\n',
+      'email.bodyNoName': 'Hello there,\n\n',
+      'email.campaign': 'Found your card via {campaign}.',
+
+      'qr.title': 'QR Code',
+      'qr.close': 'Close QR Code',
+      'qr.contains': 'QR code contains',
+      'qr.option.url': 'Card link',
+      'qr.option.contact': 'Contact details',
+      'qr.option.whatsapp': 'WhatsApp chat',
+      'qr.option.wifi': 'Studio Wi-Fi',
+      'qr.description.url': 'card link',
+      'qr.description.contact': 'contact details',
+      'qr.description.whatsapp': 'WhatsApp chat link',
+      'qr.description.wifi': 'Wi-Fi network',
+      'qr.caption.url': 'Scan to open my card',
+      'qr.caption.contact': 'Scan to save my contact',
+      'qr.caption.whatsapp': 'Scan to chat on WhatsApp',
+      'qr.caption.wifi': 'Scan to join Wi-Fi: {ssid}',
+      'qr.label': '{name} {description} QR code',
+      'qr.changed': 'QR code now shows the {description}.',
+      'qr.downloadPng': 'Download PNG',
+      'qr.downloadSvg': 'Download SVG',
+      'qr.downloading': 'Downloading...',
+      'qr.downloaded': 'Downloaded!',
+      'qr.error': 'Error',
+
+      'print.layout': 'Print layout',
+      'print.us': 'Business card 3.5 × 2 in',
+      'print.eu': 'Business card 85 × 55 mm',
+      'print.sticker': 'Sticker 2 × 2 in',
+      'print.front': 'Front',
+      'print.back': 'Back',
+      'print.stickerSide': 'Sticker',
+      'print.note': '{name} — {layout} on {page}. Print at 100% scale and trim on the crop marks.',
+      'print.print': 'Print',
+      'print.download': 'Download print SVG',
+      'print.opening': 'Opening print dialog for the {layout}.',
+      'print.unavailable': 'Printing is not available. Download the print SVG instead.',
+
+      'share.title': 'Share this card',
+      'share.close': 'Close',
+      'share.copy': 'Copy link',
+      'share.email': 'Email',
+      'share.whatsapp': 'WhatsApp',
+      'share.linkedin': 'LinkedIn',
+      'share.documentTitle': '{name} | Digital Business Card',
+      'share.done': 'Card shared.',
+      'share.copied': 'Card link copied to clipboard.',
+
+      'exchange.open': 'Leave your details',
+      'exchange.title': 'Leave your details',
+      'exchange.close': 'Close',
+      'exchange.intro': "Leave your details and I'll get back to you.",
+      'exchange.introNamed': 'Leave your details and {name} will get back to you.',
+      'exchange.name': 'Name',
+      'exchange.phone': 'Phone',
+      'exchange.email': 'Email',
+      'exchange.note': 'Note (optional)',
+      'exchange.consent': 'I agree that these details are stored and used to contact me.',
+      'exchange.consentNamed': 'I agree that {name} may store these details and use them to contact me.',
+      'exchange.send': 'Send my details',
+      'exchange.sending': 'Sending…',
+      'exchange.error.name': 'Please enter your name.',
+      'exchange.error.contact': 'Please enter a phone number or an email address.',
+      'exchange.error.phone': 'Please enter a valid phone number.',
+      'exchange.error.email': 'Please enter a valid email address.',
+      'exchange.error.consent': 'Please tick the box to agree.',
+      'exchange.sent': 'Thank you! Your details were sent.',
+      'exchange.queued': "You're offline. Your details are saved on this device and will be sent when you're back online.",
+      'exchange.queuedSent': 'Your saved details were sent.',
+      'exchange.failed': 'Your details could not be sent. Please try again later.',
+      'exchange.emailOpening': 'Opening your email app with your details.',
+      'exchange.emailSubject': 'New contact from your digital card: {name}',
+
+      'gallery.title': 'Portfolio',
+      'gallery.view': 'View photo {index} of {total}',
+      'gallery.counter': '{index} of {total}',
+      'gallery.close': 'Close',
+      'gallery.previous': 'Previous photo',
+      'gallery.next': 'Next photo',
+
+      'booking.open': 'Book a session',
+      'booking.title': 'Book a session',
+      'booking.close': 'Close',
+      'booking.intro': 'Pick a session, a day and a time, then send your request.',
+      'booking.session': 'Session',
+      'booking.sessionOption': '{label} ({minutes} min)',
+      'booking.day': 'Day',
+      'booking.time': 'Time',
+      'booking.timeZone': 'Times are in {zone}.',
+      'booking.empty': 'No times are open for this session in the coming weeks. Please get in touch instead.',
+      'booking.name': 'Your name (optional)',
+      'booking.note': 'Anything to add? (optional)',
+      'booking.error.slot': 'Please choose a time.',
+      'booking.sendWhatsapp': 'Request via WhatsApp',
+      'booking.sendEmail': 'Request by email',
+      'booking.addToCalendar': 'Add to calendar (.ics)',
+      'booking.message': "Hello {owner}, I'd like to book: {session}, {date} at {time} ({zone}).",
+      'booking.messageName': 'My name is {name}.',
+      'booking.emailSubject': 'Booking request: {session}, {date}',
+      'booking.icsSummary': '{session} with {owner}',
+      'booking.icsDescription': 'Requested from the digital business card. Not confirmed until {owner} replies.',
+      'booking.openingWhatsapp': 'Opening WhatsApp with your booking request.',
+      'booking.openingEmail': 'Opening your email app with your booking request.',
+      'booking.icsDownloaded': 'Calendar invite downloaded. It stays tentative until the booking is confirmed.',
+
+      'app.title': 'App Not Installed',
+      'app.titleNamed': '{app} Not Installed',
+      'app.message': 'The app is not installed on your device. Would you like to download it?',
+      'app.messageNamed': "{app} doesn't seem to be installed on your device. Download it, or open the profile in your browser.",
+      'app.fallbackName': 'The app',
+      'app.download': 'Download App',
+      'app.appStore': 'Download on the App Store',
+      'app.googlePlay': 'Get it on Google Play',
+      'app.openInBrowser': 'Open in Browser',
+      'app.close': 'Close',
+
+      'update.label': 'Update available',
+      'update.message': 'A new version of this card is available.',
+      'update.refresh': 'Refresh',
+      'update.dismiss': 'Dismiss',
+
+      'install.label': 'Add to home screen',
+      'install.add': 'Add card to home screen',
+      'install.iosShare': 'Tap Share',
+      'install.iosAdd': 'then “Add to Home Screen”.',
+      'install.dismiss': 'Not now',
+
+      'offline.status': "You're offline. Links that need the internet are unavailable; saving the contact, copying and the QR code still work.",
+      'offline.back': "You're back online.",
+      'offline.unavailable': 'This needs an internet connection. Try again when you are back online.',
+      'offline.title': "You're offline",
+      'offline.message': "This page isn't saved on this device yet. Check your connection and try again.",
+      'offline.retry': 'Try again',
+      'offline.openCard': 'Open the saved card',
+
+      'card.notFound.title': 'Card not found',
+      'card.notFound.message': "There's no card at this address. Check the link you were given.",
+      'card.unavailable.title': "This card can't be shown",
+      'card.unavailable.message': 'The card could not be loaded. Please try again later.',
+      'card.openMain': 'Open the main card'
+    },
+    ar: {
+      'lang.toggle': 'English',
+      'lang.toggleLabel': 'View this card in English (التبديل إلى الإنجليزية)',
+      'doc.title': '{heading} | بطاقة أعمال رقمية',
+      'manifest.name': '{name} — بطاقة أعمال رقمية',
+      'manifest.description': 'بطاقة أعمال رقمية لـ {name}.',
+
+      'contact.whatsapp': 'فتح محادثة واتساب',
+      'contact.addToContacts': 'إضافة إلى جهات الاتصال',
+      'contact.copyEmail': 'نسخ عنوان البريد الإلكتروني',
+      'footer.qr': 'رمز QR',
+      'footer.share': 'مشاركة هذه البطاقة',
+      'social.fallbackLabel': 'حساب على وسائل التواصل',
+
+      'copy.done': 'تم النسخ إلى الحافظة.',
+      'copy.failed': 'تعذّر النسخ.',
+      'copy.empty': 'لا يوجد ما يمكن نسخه.',
+      'vcard.opening': 'جارٍ فتح بطاقة جهة الاتصال.',
+
+      'email.subject': 'تواصل عبر بطاقة الأعمال الرقمية',
+      'email.body': 'مرحبًا {name}،\n\n',
+      'email.bodyNoName': 'مرحبًا،\n\n',
+      'email.campaign': 'وجدتُ بطاقتك عبر {campaign}.',
+
+      'qr.title': 'رمز QR',
+      'qr.close': 'إغلاق رمز QR',
+      'qr.contains': 'محتوى رمز QR',
+      'qr.option.url': 'رابط البطاقة',
+      'qr.option.contact': 'بيانات الاتصال',
+      'qr.option.whatsapp': 'محادثة واتساب',
+      'qr.option.wifi': 'شبكة Wi-Fi في الاستوديو',
+      'qr.description.url': 'رابط البطاقة',
+      'qr.description.contact': 'بيانات الاتصال',
+      'qr.description.whatsapp': 'رابط محادثة واتساب',
+      'qr.description.wifi': 'شبكة Wi-Fi',
+      'qr.caption.url': 'امسح الرمز لفتح بطاقتي',
+      'qr.caption.contact': 'امسح الرمز لحفظ جهة اتصالي',
+      'qr.caption.whatsapp': 'امسح الرمز للمحادثة عبر واتساب',
+      'qr.caption.wifi': 'امسح الرمز للاتصال بشبكة Wi-Fi: {ssid}',
+      'qr.label': 'رمز QR ({description}) {name}',
+      'qr.changed': 'يعرض رمز QR الآن {description}.',
+      'qr.downloadPng': 'تنزيل PNG',
+      'qr.downloadSvg': 'تنزيل SVG',
+      'qr.downloading': 'جارٍ التنزيل...',
+      'qr.downloaded': 'تم التنزيل!',
+      'qr.error': 'خطأ',
+
+      'print.layout': 'تنسيق الطباعة',
+      'print.us': 'بطاقة أعمال 3.5 × 2 بوصة',
+      'print.eu': 'بطاقة أعمال 85 × 55 مم',
+      'print.sticker': 'ملصق 2 × 2 بوصة',
+      'print.front': 'الوجه الأمامي',
+      'print.back': 'الوجه الخلفي',
+      'print.stickerSide': 'ملصق',
+      'print.note': '{name} — {layout} على ورق {page}. اطبع بمقياس 100٪ وقصّ عند علامات القص.',
+      'print.print': 'طباعة',
+      'print.download': 'تنزيل ملف الطباعة SVG',
+      'print.opening': 'جارٍ فتح نافذة الطباعة: {layout}.',
+      'print.unavailable': 'الطباعة غير متاحة. نزّل ملف الطباعة SVG بدلًا من ذلك.',
+
+      'share.title': 'مشاركة هذه البطاقة',
+      'share.close': 'إغلاق',
+      'share.copy': 'نسخ الرابط',
+      'share.email': 'البريد الإلكتروني',
+      'share.whatsapp': 'واتساب',
+      'share.linkedin': 'لينكدإن',
+      'share.documentTitle': '{name} | بطاقة أعمال رقمية',
+      'share.done': 'تمت مشاركة البطاقة.',
+      'share.copied': 'تم نسخ رابط البطاقة إلى الحافظة.',
+
+      'exchange.open': 'اترك بياناتك',
+      'exchange.title': 'اترك بياناتك',
+      'exchange.close': 'إغلاق',
+      'exchange.intro': 'اترك بياناتك وسأتواصل معك.',
+      'exchange.introNamed': 'اترك بياناتك ليتواصل معك {name}.',
+      'exchange.name': 'الاسم',
+      'exchange.phone': 'الهاتف',
+      'exchange.email': 'البريد الإلكتروني',
+      'exchange.note': 'ملاحظة (اختياري)',
+      'exchange.consent': 'أوافق على حفظ هذه البيانات واستخدامها للتواصل معي.',
+      'exchange.consentNamed': 'أوافق على أن يحفظ {name} هذه البيانات ويستخدمها للتواصل معي.',
+      'exchange.send': 'إرسال بياناتي',
+      'exchange.sending': 'جارٍ الإرسال…',
+      'exchange.error.name': 'يرجى إدخال اسمك.',
+      'exchange.error.contact': 'يرجى إدخال رقم هاتف أو بريد إلكتروني.',
+      'exchange.error.phone': 'يرجى إدخال رقم هاتف صحيح.',
+      'exchange.error.email': 'يرجى إدخال بريد إلكتروني صحيح.',
+      'exchange.error.consent': 'يرجى وضع علامة في المربع للموافقة.',
+      'exchange.sent': 'شكرًا لك! تم إرسال بياناتك.',
+      'exchange.queued': 'أنت غير متصل بالإنترنت. حُفظت بياناتك على هذا الجهاز وسيتم إرسالها عند عودة الاتصال.',
+      'exchange.queuedSent': 'تم إرسال بياناتك المحفوظة.',
+      'exchange.failed': 'تعذّر إرسال بياناتك. يرجى المحاولة لاحقًا.',
+      'exchange.emailOpening': 'جارٍ فتح تطبيق البريد مع بياناتك.',
+      'exchange.emailSubject': 'جهة اتصال جديدة من بطاقتك الرقمية: {name}',
+
+      'gallery.title': 'أعمالي',
+      'gallery.view': 'عرض الصورة {index} من {total}',
+      'gallery.counter': '{index} من {total}',
+      'gallery.close': 'إغلاق',
+      'gallery.previous': 'الصورة السابقة',
+      'gallery.next': 'الصورة التالية',
+
+      'booking.open': 'احجز جلسة',
+      'booking.title': 'احجز جلسة',
+      'booking.close': 'إغلاق',
+      'booking.intro': 'اختر الجلسة واليوم والوقت، ثم أرسل طلبك.',
+      'booking.session': 'الجلسة',
+      'booking.sessionOption': '{label} ({minutes} دقيقة)',
+      'booking.day': 'اليوم',
+      'booking.time': 'الوقت',
+      'booking.timeZone': 'الأوقات حسب {zone}.',
+      'booking.empty': 'لا توجد أوقات متاحة لهذه الجلسة في الأسابيع القادمة. يرجى التواصل مباشرةً.',
+      'booking.name': 'اسمك (اختياري)',
+      'booking.note': 'هل تودّ إضافة شيء؟ (اختياري)',
+      'booking.error.slot': 'يرجى اختيار وقت.',
+      'booking.sendWhatsapp': 'اطلب عبر واتساب',
+      'booking.sendEmail': 'اطلب عبر البريد الإلكتروني',
+      'booking.addToCalendar': 'أضف إلى التقويم (.ics)',
+      'booking.message': 'مرحبًا {owner}، أودّ حجز: {session}، {date} الساعة {time} ({zone}).',
+      'booking.messageName': 'اسمي {name}.',
+      'booking.emailSubject': 'طلب حجز: {session}، {date}',
+      'booking.icsSummary': '{session} مع {owner}',
+      'booking.icsDescription': 'طلب من بطاقة الأعمال الرقمية. لا يُعدّ مؤكدًا حتى يصلك ردّ {owner}.',
+      'booking.openingWhatsapp': 'جارٍ فتح واتساب مع طلب الحجز.',
+      'booking.openingEmail': 'جارٍ فتح تطبيق البريد مع طلب الحجز.',
+      'booking.icsDownloaded': 'تم تنزيل دعوة التقويم. تبقى مبدئية حتى يتم تأكيد الحجز.',
+
+      'app.title': 'التطبيق غير مثبّت',
+      'app.titleNamed': '{app} غير مثبّت',
+      'app.message': 'التطبيق غير مثبّت على جهازك. هل تريد تنزيله؟',
+      'app.messageNamed': 'يبدو أن {app} غير مثبّت على جهازك. نزّله، أو افتح الصفحة في المتصفح.',
+      'app.fallbackName': 'التطبيق',
+      'app.download': 'تنزيل التطبيق',
+      'app.appStore': 'التنزيل من App Store',
+      'app.googlePlay': 'احصل عليه من Google Play',
+      'app.openInBrowser': 'فتح في المتصفح',
+      'app.close': 'إغلاق',
+
+      'update.label': 'تحديث متاح',
+      'update.message': 'يتوفر إصدار جديد من هذه البطاقة.',
+      'update.refresh': 'تحديث',
+      'update.dismiss': 'إخفاء',
+
+      'install.label': 'الإضافة إلى الشاشة الرئيسية',
+      'install.add': 'أضف البطاقة إلى الشاشة الرئيسية',
+      'install.iosShare': 'اضغط على «مشاركة»',
+      'install.iosAdd': 'ثم «إضافة إلى الشاشة الرئيسية».',
+      'install.dismiss': 'ليس الآن',
+
+      'offline.status': 'أنت غير متصل بالإنترنت. الروابط التي تحتاج إلى الإنترنت غير متاحة؛ حفظ جهة الاتصال والنسخ ورمز QR تعمل كالمعتاد.',
+      'offline.back': 'عاد الاتصال بالإنترنت.',
+      'offline.unavailable': 'يحتاج هذا إلى اتصال بالإنترنت. حاول مجددًا عند عودة الاتصال.',
+      'offline.title': 'أنت غير متصل بالإنترنت',
+      'offline.message': 'هذه الصفحة غير محفوظة على هذا الجهاز بعد. تحقّق من الاتصال وحاول مجددًا.',
+      'offline.retry': 'حاول مجددًا',
+      'offline.openCard': 'فتح البطاقة المحفوظة',
+
+      'card.notFound.title': 'البطاقة غير موجودة',
+      'card.notFound.message': 'لا توجد بطاقة على هذا العنوان. تحقّق من الرابط الذي وصلك.',
+      'card.unavailable.title': 'تعذّر عرض هذه البطاقة',
+      'card.unavailable.message': 'تعذّر تحميل البطاقة. حاول مجددًا لاحقًا.',
+      'card.openMain': 'فتح البطاقة الرئيسية'
+    }
+  };
+
+  const SUPPORTED_LANGUAGES = Object.keys(STRINGS);
+
+  const listeners = [];
+  // Languages the loaded card offers (all supported ones until the profile loads)
+  let cardLanguages = SUPPORTED_LANGUAGES;
+
+  const getStoredLanguage = () => {
+    try {
+      return localStorage.getItem(STORAGE_KEY);
+    } catch {
+      return null;
+    }
+  };
+
+  /** URL parameter, else the remembered choice, else the first supported browser language. */
+  const detectLanguage = () => {
+    const requested = new URLSearchParams(window.location.search).get('lang');
+    if (SUPPORTED_LANGUAGES.includes(requested)) return requested;
+
+    const stored = getStoredLanguage();
+    if (SUPPORTED_LANGUAGES.includes(stored)) return stored;
+
+    const preferred = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const tag of preferred) {
+      const base = String(tag || '').toLowerCase().split('-')[0];
+      if (SUPPORTED_LANGUAGES.includes(base)) return base;
+    }
+    return DEFAULT_LANGUAGE;
+  };
+
+  let language = detectLanguage();
+
+  const getLanguage = () => language;
+  const isRTL = (lang = language) => RTL_LANGUAGES.includes(lang);
+
+  /**
+   * Translate a key, filling `{placeholders}` from params.
+   * Falls back to English, then to the key itself.
+   * @param {string} key
+   * @param {object} [params]
+   * @returns {string}
+   */
+  const t = (key, params) => {
+    const template = STRINGS[language][key] ?? STRINGS[DEFAULT_LANGUAGE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] != null ? params[name] : match));
+  };
+
+  /** Apply lang/dir and translate marked-up elements. */
+  const applyToDocument = (root = document) => {
+    document.documentElement.lang = language;
+    document.documentElement.dir = isRTL() ? 'rtl' : 'ltr';
+
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.getAttribute('data-i18n'));
+    });
+    root.querySelectorAll('[data-i18n-aria-label]').forEach((el) => {
+      el.setAttribute('aria-label', t(el.getAttribute('data-i18n-aria-label')));
+    });
+
+    updateToggle();
+  };
+
+  /** The toggle offers the other language of the card; hidden for single-language cards. */
+  const updateToggle = () => {
+    const toggle = document.getElementById('lang-toggle');
+    if (!toggle) return;
+
+    const other = cardLanguages.find((lang) => lang !== language);
+    toggle.hidden = !other;
+    if (!other) return;
+
+    toggle.setAttribute('data-lang', other);
+    toggle.setAttribute('lang', other);
+    toggle.textContent = t('lang.toggle');
+    toggle.setAttribute('aria-label', t('lang.toggleLabel'));
+  };
+
+  /**
+   * Switch language, re-translate the page and notify components.
+   * @param {string} lang
+   * @param {{persist?: boolean}} [options] - persist=false for automatic changes
+   */
+  const setLanguage = (lang, { persist = true } = {}) => {
+    if (!SUPPORTED_LANGUAGES.includes(lang)) return;
+
+    if (persist) {
+      try {
+        localStorage.setItem(STORAGE_KEY, lang);
+      } catch {
+        // Private mode: the choice lasts for this page only.
+      }
+    }
+    if (lang === language) return;
+
+    language = lang;
+    applyToDocument();
+    listeners.forEach((callback) => {
+      try {
+        callback(language);
+      } catch (err) {
+        console.error('Language change handler failed:', err);
+      }
+    });
+  };
+
+  /**
+   * Run a callback after every language change.
+   * @param {function(string): void} callback
+   */
+  const onChange = (callback) => {
+    listeners.push(callback);
+  };
+
+  /** Restrict to the languages the card offers (`languages`, or English + `translations`). */
+  const configure = (profile) => {
+    if (!profile) return;
+    const offered = profile.languages || [DEFAULT_LANGUAGE, ...Object.keys(profile.translations || {})];
+    cardLanguages = offered.filter((lang) => SUPPORTED_LANGUAGES.includes(lang));
+    if (!cardLanguages.length) cardLanguages = [DEFAULT_LANGUAGE];
+
+    if (!cardLanguages.includes(language)) setLanguage(cardLanguages[0], { persist: false });
+    else updateToggle();
+  };
+
+  // Scripts load at the end of <body>, so the markup is ready to translate.
+  applyToDocument();
+
+  const toggle = document.getElementById('lang-toggle');
+  if (toggle) {
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      const next = toggle.getAttribute('data-lang');
+      if (next) setLanguage(next);
+    });
+  }
+
+  if (window.CardProfile) window.CardProfile.load().then(configure);
+
+  window.CardI18n = {
+    SUPPORTED_LANGUAGES,
+    getLanguage,
+    isRTL,
+    t,
+    setLanguage,
+    onChange,
+    applyToDocument
+  };
+})();
@@ -0,0 +1,86 @@
+/**
+ * Card Icons
+ * Icons are <svg class="icon"><use href="#icon-NAME"></use></svg> pointing at the
+ * sprite inlined in the page (tools/build-icon-sprite.js); no icon font or CDN.
+ *
+ * - `create(name, className)` / `markup(name, className)` build an icon for
+ *   scripts (e.g. footer social links from card.json, button states)
+ * - `setIcon(svg, name)` switches an existing icon to another glyph
+ * - Names are Font Awesome file names ("instagram", "location-dot"); older
+ *   card.json values written as classes ("fa-brands fa-instagram") still work
+ * - A glyph the sprite doesn't have falls back to "link"
+ */
+
+(() => {
+  const FALLBACK = 'link';
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  // Font Awesome 5 names used by earlier cards
+  const ALIASES = {
+    times: 'xmark',
+    'map-marker-alt': 'location-dot',
+    'exclamation-triangle': 'triangle-exclamation'
+  };
+
+  const has = (name) => Boolean(document.getElementById(`icon-${name}`));
+
+  /**
+   * Sprite name for an icon value, e.g. "fa-brands fa-instagram" -> "instagram"
+   * @param {string} value
+   * @returns {string}
+   */
+  const normalize = (value) => {
+    const name = String(value || '')
+      .split(/\s+/)
+      .filter((part) => part && !/^fa-(solid|regular|brands|fw|spin)$/.test(part) && part !== 'fa')
+      .map((part) => part.replace(/^fa-/, ''))
+      .pop() || FALLBACK;
+    const resolved = ALIASES[name] || name;
+    return has(resolved) ? resolved : FALLBACK;
+  };
+
+  const classNames = (className) => ['icon', className].filter(Boolean).join(' ');
+
+  /**
+   * An icon element
+   * @param {string} name
+   * @param {string} [className] - Extra classes, e.g. "contact-icon"
+   * @returns {SVGSVGElement}
+   */
+  const create = (name, className) => {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('class', classNames(className));
+    svg.setAttribute('aria-hidden', 'true');
+    svg.setAttribute('focusable', 'false');
+    const use = document.createElementNS(SVG_NS, 'use');
+    use.setAttribute('href', `#icon-${normalize(name)}`);
+    svg.appendChild(use);
+    return svg;
+  };
+
+  /**
+   * An icon as HTML, for templates built with innerHTML
+   * @param {string} name
+   * @param {string} [className]
+   * @returns {string}
+   */
+  const markup = (name, className) =>
+    `<svg class="${classNames(className)}" aria-hidden="true" focusable="false"><use href="#icon-${normalize(name)}"></use></svg>`;
+
+  /**
+   * Point an existing icon at another glyph
+   * @param {SVGSVGElement|null} svg
+   * @param {string} name
+   */
+  const setIcon = (svg, name) => {
+    const use = svg && svg.querySelector('use');
+    if (use) use.setAttribute('href', `#icon-${normalize(name)}`);
+  };
+
+  window.CardIcons = {
+    normalize,
+    create,
+    markup,
+    setIcon
+  };
+})();
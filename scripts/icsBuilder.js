@@ -0,0 +1,78 @@
+/**
+ * iCalendar Builder
+ * Produces a single-event iCalendar (RFC 5545) document, e.g. a booking request
+ * the visitor adds to their own calendar.
+ *
+ * TEXT escaping and 75-octet line folding follow the same rules as vCard, so the
+ * helpers come from VCardBuilder (load vCardBuilder.js first).
+ *
+ * Event shape accepted by `build()`:
+ * {
+ *   uid, start: Date, end: Date, stamp?: Date,
+ *   summary, description, location, url,
+ *   organizer: { name, email },
+ *   status: 'TENTATIVE' | 'CONFIRMED' | 'CANCELLED'
+ * }
+ */
+
+(() => {
+  const CRLF = '\r\n';
+  const PRODID = '-//Digital Business Card//EN';
+
+  const pad = (value) => String(value).padStart(2, '0');
+
+  /** UTC DATE-TIME form: 20261103T150000Z (RFC 5545 §3.3.5, form #2). */
+  const formatDateTime = (date) =>
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+
+  /** Parameter values can't contain DQUOTE; quote them when they hold ":", ";" or ",". */
+  const paramValue = (value) => {
+    const clean = String(value ?? '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+    return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+  };
+
+  /** Unique enough for a one-off event: time, randomness and the page's host. */
+  const createUid = () =>
+    `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}@${window.location.hostname || 'card'}`;
+
+  /**
+   * Build the .ics text (CRLF line endings, folded lines)
+   * @param {object} event - See module header
+   * @param {{method?: string}} [options] - METHOD, default PUBLISH (add to calendar)
+   * @returns {string}
+   */
+  const build = (event, { method = 'PUBLISH' } = {}) => {
+    const { escapeText, foldLine } = window.VCardBuilder;
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODID}`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`,
+      'BEGIN:VEVENT',
+      `UID:${event.uid || createUid()}`,
+      `DTSTAMP:${formatDateTime(event.stamp || new Date())}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`
+    ];
+
+    if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    if (event.organizer?.email) {
+      const cn = event.organizer.name ? `;CN=${paramValue(event.organizer.name)}` : '';
+      lines.push(`ORGANIZER${cn}:mailto:${event.organizer.email}`);
+    }
+    if (event.status) lines.push(`STATUS:${event.status}`);
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+    return lines.map(foldLine).join(CRLF) + CRLF;
+  };
+
+  window.ICSBuilder = {
+    build,
+    formatDateTime
+  };
+})();
@@ -0,0 +1,37 @@
+/**
+ * Input Modality
+ * Tracks whether the visitor is using a keyboard, a mouse or touch, as
+ * <html data-input="keyboard|mouse|touch">, so main.css can tell them apart:
+ * - Hover effects apply only while the mouse is in use (`[data-input="mouse"]` inside
+ *   `@media (hover: hover)`): a tap never leaves one stuck, and a dialog closed with
+ *   Escape doesn't light up the button under a resting pointer until the mouse moves
+ * - Focus rings use `:focus-visible`, so keyboard focus is never cleared by script
+ *
+ * A pen counts as a mouse. Until the first input, the device's primary pointer decides.
+ */
+
+(() => {
+  const ATTRIBUTE = 'data-input';
+  const root = document.documentElement;
+
+  const set = (modality) => {
+    if (root.getAttribute(ATTRIBUTE) !== modality) root.setAttribute(ATTRIBUTE, modality);
+  };
+
+  const fromPointer = (e) => (e.pointerType === 'touch' ? 'touch' : 'mouse');
+
+  set(window.matchMedia?.('(hover: hover) and (pointer: fine)')?.matches ? 'mouse' : 'touch');
+
+  const listen = (type, handler) => document.addEventListener(type, handler, { capture: true, passive: true });
+
+  listen('keydown', (e) => {
+    // Shortcuts and modifier keys alone (e.g. Ctrl+click) leave the pointer in charge
+    if (e.ctrlKey || e.metaKey || e.altKey || ['Shift', 'Control', 'Meta', 'Alt'].includes(e.key)) return;
+    set('keyboard');
+  });
+  listen('pointerdown', (e) => set(fromPointer(e)));
+  // Moving the mouse brings hover back after keyboard use (touch moves are scrolls)
+  listen('pointermove', (e) => {
+    if (e.pointerType !== 'touch') set('mouse');
+  });
+})();
@@ -0,0 +1,184 @@
+/**
+ * Launch Actions
+ * Opens the card in a given state from its URL, for app shortcuts
+ * (manifest.webmanifest `shortcuts`) and printed QR codes that should land on an action.
+ *
+ * Actions, as `?action=NAME` or `#NAME`:
+ * - `call` dials the card's phone number
+ * - `whatsapp` opens the WhatsApp chat (not while offline)
+ * - `qr` opens the QR code dialog (QRCodeHandler.showQRModal)
+ * - `save` saves the contact, like Add to Contacts (VCardHandler.openVCard)
+ * - `book` opens "Book a session" when the card takes bookings (BookingHandler)
+ * - `email` starts an email to the owner (DigitalCardActions.handleEmailAction);
+ *   on desktop, where a new tab can't open without a click, the email row is
+ *   focused instead
+ * - `shared` is the manifest `share_target`: a link or text shared to the installed
+ *   card from another app opens "Leave your details" with it as the note
+ *   (ContactExchangeHandler.openWithNote); its `title`, `text` and `url` are removed too
+ *
+ * The action runs once the card is ready and is then removed from the address bar,
+ * so a reload or a shared link doesn't repeat it. Unknown names are left alone
+ * (a `#hash` may be an ordinary anchor).
+ *
+ * Campaign (UTM) parameters stay in the URL. `getCampaign()` returns them for
+ * analytics (every event carries them) and `withCampaign()` adds a "Found your card
+ * via …" line to email bodies, so the owner sees which flyer brought the visitor.
+ *
+ * Analytics: launch_action { action }
+ */
+
+(() => {
+  const PARAM = 'action';
+  const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+  // manifest.webmanifest `share_target.params`
+  const SHARE_PARAMS = ['title', 'text', 'url'];
+
+  const announce = (message) => {
+    const status = document.getElementById('a11y-status');
+    if (!status) return;
+    status.textContent = '';
+    setTimeout(() => {
+      status.textContent = message;
+    }, 10);
+  };
+
+  // Read once: the page never changes them, but actions are removed from the URL
+  const campaign = (() => {
+    const params = new URLSearchParams(window.location.search);
+    const found = {};
+    UTM_PARAMS.forEach((name) => {
+      const value = (params.get(`utm_${name}`) || '').trim().slice(0, 100);
+      if (value) found[name] = value;
+    });
+    return Object.keys(found).length ? found : null;
+  })();
+
+  // What was shared to the card (`?action=shared`) as one note: title, text and URL on
+  // their own lines, the URL left out when the text already holds it. Read before the
+  // action is removed from the URL.
+  const sharedNote = (() => {
+    const params = new URLSearchParams(window.location.search);
+    const [title, text, url] = SHARE_PARAMS.map((name) => (params.get(name) || '').trim());
+    return [title, text, url && !text.includes(url) ? url : ''].filter(Boolean).join('\n');
+  })();
+
+  /**
+   * UTM parameters the page was opened with, without the `utm_` prefix
+   * ({ source: 'flyer', campaign: 'spring' }), or null.
+   * @returns {object|null}
+   */
+  const getCampaign = () => (campaign ? { ...campaign } : null);
+
+  /**
+   * An email body with the campaign noted at the end (unchanged without UTM parameters).
+   * @param {string} body
+   * @returns {string}
+   */
+  const withCampaign = (body) => {
+    if (!campaign) return body;
+    const label = [campaign.source, campaign.medium, campaign.campaign].filter(Boolean).join(' / ')
+      || campaign.term || campaign.content;
+    return `${body}\n\n${window.CardI18n.t('email.campaign', { campaign: label })}`;
+  };
+
+  const loadProfile = async () => (window.CardProfile ? window.CardProfile.load() : null);
+
+  /** Navigate to an external link in this window (a launch has no click to open a tab from). */
+  const openExternal = (url) => {
+    if (window.Connectivity && !window.Connectivity.isOnline()) {
+      announce(window.CardI18n.t('offline.unavailable'));
+      return;
+    }
+    window.location.assign(url);
+  };
+
+  const ACTIONS = {
+    call: async () => {
+      const profile = await loadProfile();
+      const number = String(profile?.phone?.number || '').replace(/[^\d+]/g, '');
+      if (number) window.location.assign(`tel:${number}`);
+    },
+    whatsapp: async () => {
+      const profile = await loadProfile();
+      const url = profile && window.CardProfile.getWhatsAppUrl(profile);
+      if (url) openExternal(url);
+    },
+    qr: () => {
+      if (window.qrCodeHandler) window.qrCodeHandler.showQRModal();
+    },
+    save: () => {
+      if (window.vCardHandler) window.vCardHandler.openVCard();
+    },
+    book: async () => {
+      // BookingHandler shows its button once the profile says the card takes bookings
+      await loadProfile();
+      const booking = window.bookingHandler;
+      if (booking && booking.openButton && !booking.openButton.hidden) booking.openModal();
+    },
+    email: async () => {
+      // cardRenderer fills the row (address, compose link) from the profile
+      await loadProfile();
+      const link = document.querySelector('[data-card-field="email"]');
+      const actions = window.DigitalCardActions;
+      if (!link || !link.getAttribute('data-email') || !actions) return;
+
+      if (actions.isDesktop()) {
+        link.scrollIntoView({ block: 'center' });
+        link.focus();
+        return;
+      }
+      if (window.CardAnalytics) window.CardAnalytics.track('email_clicked');
+      actions.handleEmailAction(link);
+    },
+    shared: () => {
+      const exchange = window.contactExchange;
+      if (sharedNote && exchange) exchange.openWithNote(sharedNote);
+    }
+  };
+
+  const has = (name) => Object.prototype.hasOwnProperty.call(ACTIONS, name);
+
+  /** The action named in the URL and the URL without it. */
+  const readAction = () => {
+    const url = new URL(window.location.href);
+    const param = url.searchParams.get(PARAM);
+    if (param !== null) {
+      url.searchParams.delete(PARAM);
+      if (param === 'shared') SHARE_PARAMS.forEach((name) => url.searchParams.delete(name));
+      return { name: param, url };
+    }
+    const hash = url.hash.slice(1);
+    if (has(hash)) {
+      url.hash = '';
+      return { name: hash, url };
+    }
+    return null;
+  };
+
+  const run = async () => {
+    const found = readAction();
+    if (!found) return;
+
+    const { name, url } = found;
+    window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+    if (!has(name)) return;
+    // Nothing to act on when the card couldn't be loaded (cardRenderer.js says why)
+    if (!(await loadProfile())) return;
+
+    if (window.CardAnalytics) window.CardAnalytics.track('launch_action', { action: name });
+    try {
+      await ACTIONS[name]();
+    } catch (err) {
+      console.error(`Launch action "${name}" failed:`, err);
+    }
+  };
+
+  // Registered after the components' own DOMContentLoaded handlers (this script
+  // loads after theirs), so the handlers above exist when it runs
+  document.addEventListener('DOMContentLoaded', run);
+
+  window.LaunchActions = {
+    getCampaign,
+    withCampaign
+  };
+})();
@@ -0,0 +1,208 @@
+/**
+ * Modal Manager
+ * Opens and closes every dialog on the card (QR code, share sheet, gallery lightbox,
+ * booking, contact exchange, app download), so a new dialog needs only its markup
+ * and an `open()` call.
+ *
+ * - Dialogs stack: the newest is drawn above the others and gets the keyboard;
+ *   closing it goes back to the one below
+ * - Everything outside the top dialog is `inert` (no clicks, focus or screen reader
+ *   access); aria-live regions such as #a11y-status stay reachable
+ * - The page can't scroll while a dialog is open: <body> is fixed at the current
+ *   offset (`overflow: hidden` alone doesn't stop iOS Safari) and scrolled back on close
+ * - Escape closes the top dialog; Tab / Shift+Tab stay inside it (FocusTrap)
+ * - Focus moves into the dialog on open and back to what had it on close
+ * - `open()` returns a promise for the value passed to `close()`; dismissing with
+ *   Escape, the overlay or the close button resolves it with undefined
+ *
+ * Markup: a `role="dialog"` element, shown by its `active` class (the manager keeps
+ * `aria-hidden` in step). Elements inside it with `data-modal-close` (close button,
+ * overlay) dismiss it.
+ */
+
+(() => {
+  const LOCK_CLASS = 'modal-open';
+
+  // Open dialogs, bottom to top: { dialog, options, opener, promise, resolve }
+  const stack = [];
+  // Elements the manager made inert (anything inert already is left alone)
+  const inerted = new Set();
+  let scrollOffset = 0;
+
+  const top = () => stack[stack.length - 1] || null;
+  const find = (dialog) => stack.find((entry) => entry.dialog === dialog) || null;
+
+  /** @param {HTMLElement} dialog */
+  const isOpen = (dialog) => Boolean(find(dialog));
+
+  /** @param {HTMLElement} dialog */
+  const isTop = (dialog) => Boolean(dialog) && top()?.dialog === dialog;
+
+  const hasOpen = () => stack.length > 0;
+
+  const resolveElement = (value) => (typeof value === 'function' ? value() : value) || null;
+
+  const canFocus = (el) => Boolean(el && el.isConnected && typeof el.focus === 'function');
+
+  /** Announcements must still be read while the rest of the page is inert. */
+  const isLiveRegion = (el) => el.hasAttribute('aria-live') || ['status', 'alert', 'log'].includes(el.getAttribute('role'));
+
+  /** Make the siblings of the top dialog and of each of its ancestors inert. */
+  const updateInert = () => {
+    const next = new Set();
+    const entry = top();
+    for (let el = entry ? entry.dialog : null; el && el.parentElement && el !== document.body; el = el.parentElement) {
+      Array.from(el.parentElement.children).forEach((sibling) => {
+        if (sibling !== el && !/^(SCRIPT|STYLE|TEMPLATE)$/.test(sibling.tagName) && !isLiveRegion(sibling)) next.add(sibling);
+      });
+    }
+
+    inerted.forEach((el) => {
+      if (next.has(el)) return;
+      el.inert = false;
+      inerted.delete(el);
+    });
+    next.forEach((el) => {
+      if (el.inert) return;
+      el.inert = true;
+      inerted.add(el);
+    });
+  };
+
+  /**
+   * Move focus into the dialog. Its CSS transition starts from visibility: hidden,
+   * where focus() does nothing, so this tries again on the next few frames.
+   */
+  const focusInitial = (entry, attempts = 10) => {
+    if (!isTop(entry.dialog)) return;
+    const target = resolveElement(entry.options.initialFocus)
+      || (window.FocusTrap ? window.FocusTrap.getFocusables(entry.dialog)[0] : null);
+    if (!canFocus(target)) return;
+
+    target.focus();
+    if (document.activeElement !== target && attempts > 1) {
+      window.requestAnimationFrame(() => focusInitial(entry, attempts - 1));
+    }
+  };
+
+  const lockScroll = () => {
+    scrollOffset = window.scrollY;
+    document.body.style.setProperty('--scroll-lock-offset', `${-scrollOffset}px`);
+    document.body.classList.add(LOCK_CLASS);
+  };
+
+  const unlockScroll = () => {
+    document.body.classList.remove(LOCK_CLASS);
+    document.body.style.removeProperty('--scroll-lock-offset');
+    window.scrollTo(0, scrollOffset);
+  };
+
+  /**
+   * Show a dialog above any that are already open.
+   * @param {HTMLElement} dialog - role="dialog" element
+   * @param {object} [options]
+   * @param {HTMLElement|function(): HTMLElement} [options.initialFocus] - Default: the
+   *   first focusable element in the dialog
+   * @param {HTMLElement|function(): HTMLElement} [options.returnFocus] - Focused on
+   *   close; default: the element that had focus before opening
+   * @param {function(KeyboardEvent): void} [options.onKeydown] - Other keys while the
+   *   dialog is on top (e.g. the lightbox's arrows)
+   * @param {function(*): void} [options.onClose] - Runs once the dialog is hidden, with
+   *   the close value
+   * @returns {Promise<*>} Resolves with the value passed to close()
+   */
+  const open = (dialog, options = {}) => {
+    if (!dialog) return Promise.resolve(undefined);
+    const existing = find(dialog);
+    if (existing) return existing.promise;
+
+    const below = top();
+    const entry = { dialog, options, opener: document.activeElement };
+    entry.promise = new Promise((resolve) => {
+      entry.resolve = resolve;
+    });
+
+    if (!below) lockScroll();
+    // Draw above the dialog underneath, whatever their stylesheet z-index
+    if (below) dialog.style.zIndex = String((Number(getComputedStyle(below.dialog).zIndex) || 1000) + 1);
+
+    stack.push(entry);
+    dialog.classList.add('active');
+    dialog.setAttribute('aria-hidden', 'false');
+    updateInert();
+
+    window.setTimeout(() => focusInitial(entry), 0);
+
+    return entry.promise;
+  };
+
+  /**
+   * Hide a dialog and settle its open() promise.
+   * @param {HTMLElement} dialog
+   * @param {*} [value] - What open() resolves with
+   * @param {{restoreFocus?: boolean}} [settings] - restoreFocus: false when the
+   *   action leaves the page anyway (e.g. opening a store link)
+   */
+  const close = (dialog, value, { restoreFocus = true } = {}) => {
+    const entry = find(dialog);
+    if (!entry) return;
+    const wasTop = isTop(dialog);
+
+    // Move focus out before the dialog is hidden from assistive tech
+    if (dialog.contains(document.activeElement)) document.activeElement.blur();
+
+    stack.splice(stack.indexOf(entry), 1);
+    dialog.classList.remove('active');
+    dialog.setAttribute('aria-hidden', 'true');
+    dialog.style.zIndex = '';
+    updateInert();
+    if (!stack.length) unlockScroll();
+
+    if (restoreFocus && wasTop) {
+      const target = resolveElement(entry.options.returnFocus) || entry.opener;
+      if (canFocus(target)) window.setTimeout(() => target.focus(), 0);
+    }
+
+    if (entry.options.onClose) {
+      try {
+        entry.options.onClose(value);
+      } catch (err) {
+        console.error('Dialog close handler failed:', err);
+      }
+    }
+    entry.resolve(value);
+  };
+
+  document.addEventListener('keydown', (e) => {
+    const entry = top();
+    if (!entry) return;
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close(entry.dialog);
+      return;
+    }
+    if (e.key === 'Tab') {
+      if (window.FocusTrap) window.FocusTrap.handleTab(e, entry.dialog);
+      return;
+    }
+    if (entry.options.onKeydown) entry.options.onKeydown(e);
+  });
+
+  document.addEventListener('click', (e) => {
+    const trigger = e.target.closest('[data-modal-close]');
+    const dialog = trigger ? trigger.closest('[role="dialog"]') : null;
+    if (!dialog || !isOpen(dialog)) return;
+
+    e.preventDefault();
+    close(dialog);
+  });
+
+  window.ModalManager = {
+    open,
+    close,
+    isOpen,
+    isTop,
+    hasOpen
+  };
+})();
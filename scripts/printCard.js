@@ -0,0 +1,264 @@
+/**
+ * Print Card
+ * Lays out print-ready business cards and QR stickers as SVG pages, entirely client-side.
+ *
+ * Layouts:
+ * - us:      3.5 × 2 in business card, front and back on a US Letter page
+ * - eu:      85 × 55 mm business card, front and back on an A4 page
+ * - sticker: 2 × 2 in QR sticker on a US Letter page
+ *
+ * Every side has a bleed (backgrounds run past the trim line) and crop marks at the
+ * trim corners. Pages are sized in millimetres so they print at 100% scale, and
+ * `print()` opens the browser print dialog (which also offers "Save as PDF").
+ * Layout names, side labels and the printing note come from CardI18n (`print.*`).
+ */
+
+(() => {
+  const INCH = 25.4;
+  const PAGES = {
+    letter: { name: 'US Letter', width: 8.5 * INCH, height: 11 * INCH },
+    a4: { name: 'A4', width: 210, height: 297 }
+  };
+
+  const LAYOUTS = {
+    us: {
+      width: 3.5 * INCH,
+      height: 2 * INCH,
+      bleed: INCH / 8,
+      safe: INCH / 8,
+      page: PAGES.letter,
+      sides: ['front', 'back'],
+      fileSuffix: 'Business-Card-US'
+    },
+    eu: {
+      width: 85,
+      height: 55,
+      bleed: 3,
+      safe: 4,
+      page: PAGES.a4,
+      sides: ['front', 'back'],
+      fileSuffix: 'Business-Card-EU'
+    },
+    sticker: {
+      width: 2 * INCH,
+      height: 2 * INCH,
+      bleed: INCH / 8,
+      safe: INCH / 8,
+      page: PAGES.letter,
+      sides: ['sticker'],
+      fileSuffix: 'QR-Sticker'
+    }
+  };
+
+  const FONT = 'Montserrat, Arial, Helvetica, sans-serif';
+  // Crop marks: distance from the bleed edge, length and stroke width (mm)
+  const MARK_OFFSET = 1;
+  const MARK_LENGTH = 5;
+  const MARK_STROKE = 0.1;
+  // Space between the front and back bleed boxes on the page
+  const SIDE_GAP = 16;
+  // Montserrat's average advance is a little over half the font size
+  const AVERAGE_CHAR_WIDTH = 0.58;
+
+  const round = (value) => Math.round(value * 100) / 100;
+
+  const escapeXml = (text) => String(text ?? '').replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+
+  /**
+   * SVG text element; squeezes the line to `maxWidth` when it would run past it.
+   * @param {string} text
+   * @param {{x: number, y: number, size: number, weight?: number, fill?: string, anchor?: string, maxWidth?: number}} options
+   * @returns {string}
+   */
+  const textLine = (text, { x, y, size, weight = 400, fill = '#000000', anchor = 'start', maxWidth }) => {
+    if (!text) return '';
+    const estimated = String(text).length * size * AVERAGE_CHAR_WIDTH;
+    const fit = maxWidth && estimated > maxWidth ? ` textLength="${round(maxWidth)}" lengthAdjust="spacingAndGlyphs"` : '';
+    return `<text x="${round(x)}" y="${round(y)}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" ` +
+      `fill="${escapeXml(fill)}" text-anchor="${anchor}"${fit}>${escapeXml(text)}</text>`;
+  };
+
+  const stripProtocol = (url) => String(url || '').replace(/^https?:\/\//, '').replace(/\/$/, '');
+
+  /** Front: identity on the left, contacts along the bottom, logo mark top right. */
+  const renderFront = (layout, { profile, colors, logo }) => {
+    const { width, height, bleed, safe } = layout;
+    const stripe = 3;
+    const left = stripe + safe;
+    const logoSize = 10;
+    const textWidth = width - left - safe;
+    const parts = [
+      `<rect x="${-bleed}" y="${-bleed}" width="${round(width + bleed * 2)}" height="${round(height + bleed * 2)}" fill="${escapeXml(colors.background)}"/>`,
+      `<rect x="${-bleed}" y="${-bleed}" width="${round(stripe + bleed)}" height="${round(height + bleed * 2)}" fill="${escapeXml(colors.accent)}"/>`
+    ];
+
+    if (logo?.href) {
+      parts.push(`<image x="${round(width - safe - logoSize)}" y="${round(safe)}" width="${logoSize}" height="${logoSize}" href="${escapeXml(logo.href)}" xlink:href="${escapeXml(logo.href)}"/>`);
+    }
+
+    const headingWidth = logo?.href ? textWidth - logoSize - 2 : textWidth;
+    let y = safe + 4.8;
+    parts.push(textLine(window.CardProfile ? window.CardProfile.getFullName(profile) : profile.name?.full, { x: left, y, size: 4.8, weight: 700, maxWidth: headingWidth }));
+    y += 4;
+    parts.push(textLine(profile.title, { x: left, y, size: 2.9, maxWidth: headingWidth }));
+    y += 3.4;
+    parts.push(textLine(profile.organization, { x: left, y, size: 2.6, weight: 700, maxWidth: textWidth }));
+
+    const contacts = [
+      profile.phone?.display || profile.phone?.number,
+      profile.email,
+      stripProtocol(profile.website),
+      window.CardProfile ? window.CardProfile.formatAddress(profile.address) : ''
+    ].filter(Boolean);
+
+    let line = height - safe;
+    contacts.reverse().forEach((contact) => {
+      parts.push(textLine(contact, { x: left, y: line, size: 2.3, maxWidth: textWidth }));
+      line -= 3.2;
+    });
+
+    return parts.join('');
+  };
+
+  /** Back / sticker: the QR code centred above its caption, on the QR background. */
+  const renderQRSide = (layout, { qrSvg, colors, caption }) => {
+    const { width, height, bleed, safe } = layout;
+    const captionSize = 2.6;
+    const captionSpace = caption ? captionSize + 1.8 : 0;
+    const size = Math.min(width, height) - safe * 2 - captionSpace;
+    const x = (width - size) / 2;
+    const y = (height - size - captionSpace) / 2;
+    const qr = qrSvg({ x: round(x), y: round(y), width: round(size), height: round(size) });
+
+    return [
+      `<rect x="${-bleed}" y="${-bleed}" width="${round(width + bleed * 2)}" height="${round(height + bleed * 2)}" fill="${escapeXml(colors.qrBackground)}"/>`,
+      qr,
+      textLine(caption, { x: width / 2, y: y + size + captionSpace - 0.6, size: captionSize, weight: 700, fill: colors.qrForeground, anchor: 'middle', maxWidth: width - safe * 2 })
+    ].join('');
+  };
+
+  /** Crop marks at the four trim corners, kept clear of the bleed. */
+  const renderCropMarks = ({ width, height, bleed }) => {
+    const start = bleed + MARK_OFFSET;
+    const end = start + MARK_LENGTH;
+    const lines = [];
+    [[0, -1], [width, 1]].forEach(([cx, dx]) => {
+      [[0, -1], [height, 1]].forEach(([cy, dy]) => {
+        lines.push(`M${round(cx + dx * start)},${round(cy)}H${round(cx + dx * end)}`);
+        lines.push(`M${round(cx)},${round(cy + dy * start)}V${round(cy + dy * end)}`);
+      });
+    });
+    return `<path d="${lines.join('')}" stroke="#000000" stroke-width="${MARK_STROKE}" fill="none"/>`;
+  };
+
+  /**
+   * Build a print sheet.
+   * @param {object} profile - Card profile (card.json)
+   * @param {{
+   *   layout?: 'us'|'eu'|'sticker',
+   *   qrSvg: function({x: number, y: number, width: number, height: number}): string,
+   *   caption?: string,
+   *   logo?: {href: string}|null,
+   *   colors: {background: string, accent: string, qrForeground?: string, qrBackground?: string}
+   * }} options - `qrSvg` returns the QR code as an SVG element placed in the given box (mm);
+   *   `colors.background` / `accent` are the card's themed page and accent colours
+   *   (CardTheme.getAppColors)
+   * @returns {string} SVG document sized in millimetres
+   */
+  const buildSheet = (profile, { layout: layoutKey = 'us', qrSvg, caption = '', logo = null, colors }) => {
+    const layout = LAYOUTS[layoutKey];
+    if (!layout) throw new Error(`Unknown print layout: ${layoutKey}`);
+
+    const palette = {
+      qrForeground: '#000000',
+      qrBackground: '#ffffff',
+      ...colors
+    };
+    const { page, width, height, bleed, sides } = layout;
+    const blockHeight = sides.length * (height + bleed * 2) + (sides.length - 1) * SIDE_GAP;
+    const originX = (page.width - width) / 2;
+    let originY = (page.height - blockHeight) / 2 + bleed;
+
+    const groups = sides.map((side) => {
+      const content = side === 'front'
+        ? renderFront(layout, { profile, colors: palette, logo })
+        : renderQRSide(layout, { qrSvg, colors: palette, caption });
+      const label = window.CardI18n.t({ front: 'print.front', back: 'print.back', sticker: 'print.stickerSide' }[side]);
+      const group = `<g transform="translate(${round(originX)} ${round(originY)})">` +
+        textLine(label, { x: -bleed - MARK_OFFSET - MARK_LENGTH, y: -bleed - MARK_OFFSET - MARK_LENGTH - 2, size: 3, fill: '#666666' }) +
+        content +
+        renderCropMarks(layout) +
+        '</g>';
+      originY += height + bleed * 2 + SIDE_GAP;
+      return group;
+    });
+
+    const name = window.CardProfile ? window.CardProfile.getFullName(profile) : profile.name?.full || '';
+    const layoutLabel = window.CardI18n.t(`print.${layoutKey}`);
+    const note = window.CardI18n.t('print.note', { name, layout: layoutLabel, page: page.name });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${round(page.width)}mm" height="${round(page.height)}mm" viewBox="0 0 ${round(page.width)} ${round(page.height)}">`,
+      `<title>${escapeXml(`${name} ${layoutLabel}`)}</title>`,
+      `<rect width="${round(page.width)}" height="${round(page.height)}" fill="#ffffff"/>`,
+      ...groups,
+      textLine(note, { x: page.width / 2, y: page.height - 10, size: 3, fill: '#666666', anchor: 'middle', maxWidth: page.width - 20 }),
+      '</svg>'
+    ].join('');
+  };
+
+  /**
+   * Open the print dialog for a sheet from a hidden iframe, with the page size
+   * set through @page so "Save as PDF" produces a correctly sized PDF.
+   * @param {string} svg - Result of buildSheet()
+   * @param {'us'|'eu'|'sticker'} layoutKey
+   * @returns {Promise<void>} Resolves once the dialog has been opened
+   */
+  const print = (svg, layoutKey) => new Promise((resolve, reject) => {
+    const key = LAYOUTS[layoutKey] ? layoutKey : 'us';
+    const { page } = LAYOUTS[key];
+    const label = window.CardI18n.t(`print.${key}`);
+    // Reuse the page's web fonts so the card prints in Montserrat.
+    const fontLinks = Array.from(document.querySelectorAll('link[rel="stylesheet"][href*="font"]'))
+      .map((link) => `<link rel="stylesheet" href="${escapeXml(link.href)}">`)
+      .join('');
+
+    const iframe = document.createElement('iframe');
+    iframe.setAttribute('aria-hidden', 'true');
+    iframe.tabIndex = -1;
+    iframe.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;visibility:hidden;';
+    iframe.srcdoc = '<!DOCTYPE html><html><head><meta charset="utf-8">' +
+      `<title>${escapeXml(label)}</title>${fontLinks}` +
+      `<style>@page{size:${round(page.width)}mm ${round(page.height)}mm;margin:0}html,body{margin:0}` +
+      `svg{display:block;width:${round(page.width)}mm;height:${round(page.height)}mm}</style>` +
+      `</head><body>${svg}</body></html>`;
+
+    iframe.addEventListener('load', () => {
+      const win = iframe.contentWindow;
+      const cleanup = () => window.setTimeout(() => iframe.remove(), 0);
+      try {
+        win.addEventListener('afterprint', cleanup, { once: true });
+        const fontsReady = win.document.fonts ? win.document.fonts.ready : Promise.resolve();
+        fontsReady.then(() => {
+          win.focus();
+          win.print();
+          resolve();
+        }).catch((error) => {
+          cleanup();
+          reject(error);
+        });
+      } catch (error) {
+        cleanup();
+        reject(error);
+      }
+    }, { once: true });
+
+    document.body.appendChild(iframe);
+  });
+
+  window.PrintCard = {
+    LAYOUTS,
+    buildSheet,
+    print
+  };
+})();
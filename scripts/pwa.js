@@ -1,30 +1,71 @@
 /**
- * PWA bootstrap with automatic update checking
+ * PWA bootstrap with update checking
  * Registers the service worker and checks for updates on every page load.
- * Ensures users always get the latest version without hard reload.
+ * Never reloads the page on its own, so a visitor isn't interrupted mid-task.
  *
  * Strategy:
- * - Checks for service worker updates on every page load
- * - Automatically updates when new version is available
- * - Forces cache refresh when service worker updates
+ * - Checks for service worker updates on every page load (and every 60s)
+ * - A new version waits (sw.js doesn't skip waiting) and the #update-banner
+ *   offers "Refresh"; choosing it sends SKIP_WAITING and reloads once the new
+ *   worker takes control
+ * - Otherwise the waiting worker is activated when the visitor leaves the page
+ *   (pagehide) while idle: no dialog open, no form field they changed, and no
+ *   other window of the card open (sw.js checks), so the next navigation gets the
+ *   new version
  * - Works with normal reload (Ctrl+R), hard reload (Ctrl+Shift+R), and new visits
+ *
+ * Install:
+ * - `beforeinstallprompt` is kept and, after a short delay, the #install-banner
+ *   offers "Add card to home screen", which opens the browser's prompt
+ * - iOS Safari has no prompt: the banner shows its Share → Add to Home Screen steps
+ * - Nothing is offered when the card already runs standalone or was installed, or
+ *   for 30 days after the visitor dismissed the banner or the browser prompt
+ *   (remembered in localStorage)
+ * - Analytics: pwa_install_prompt { outcome }, pwa_installed, pwa_launched
+ *   (opened from the home screen)
  */
 
 (() => {
   if (!('serviceWorker' in navigator)) return;
 
   let registration = null;
+  let registering = false;
+  // Set when the visitor chose "Refresh": reload once the new worker takes over
+  let refreshing = false;
+
+  const banner = document.getElementById('update-banner');
+
+  // Form fields the visitor touched, with their value from before (pages and the
+  // editor fill fields from script, so defaultValue says nothing about edits)
+  const fieldBaselines = new Map();
+
+  const INSTALL_STATE_KEY = 'card-install-state';
+  const INSTALL_SNOOZE_DAYS = 30;
+  // Let the visitor look at the card before offering to install it
+  const INSTALL_OFFER_DELAY = 15000;
+
+  const installBanner = document.getElementById('install-banner');
+  // beforeinstallprompt event, kept until the visitor asks for it
+  let deferredPrompt = null;
 
   /**
    * Register service worker and set up update checking
    */
   async function registerServiceWorker() {
+    if (registering) return;
+    registering = true;
+
     try {
       registration = await navigator.serviceWorker.register('/sw.js', { 
         scope: '/',
         updateViaCache: 'none' // Always check for updates
       });
 
+      // A version that installed on an earlier visit may still be waiting
+      if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdateBanner();
+      }
+
       // Check for updates immediately
       await checkForUpdates();
 
@@ -34,16 +75,24 @@
       // Listen for messages from service worker
       navigator.serviceWorker.addEventListener('message', handleServiceWorkerMessage);
 
+      // Reload only when the visitor asked for the new version
+      navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!refreshing) return;
+        refreshing = false;
+        window.location.reload();
+      });
+
       // Check for updates periodically (every 60 seconds)
       setInterval(checkForUpdates, 60000);
 
       // Check for updates when page becomes visible (user returns to tab)
       document.addEventListener('visibilitychange', () => {
-        if (!document.hidden) {
-          checkForUpdates();
-        }
+        if (!document.hidden) checkForUpdates();
       });
 
+      // Leaving the page: the next one loads with the new version
+      window.addEventListener('pagehide', activateWhenIdle);
+
     } catch (err) {
       // Silent fail: PWA should never block the business card UX
       console.warn('Service worker registration failed:', err);
@@ -75,10 +124,10 @@
       if (newWorker.state === 'installed') {
         // New service worker installed
         if (navigator.serviceWorker.controller) {
-          // There's an active service worker, so this is an update
-          // Force reload to activate new service worker
-          console.log('New service worker installed, reloading...');
-          window.location.reload();
+          // There's an active service worker, so this is an update: it waits
+          // until the visitor refreshes or the page is idle
+          console.log('New service worker installed and waiting');
+          showUpdateBanner();
         } else {
           // First time installation
           console.log('Service worker installed for the first time');
@@ -92,12 +141,241 @@
    */
   function handleServiceWorkerMessage(event) {
     if (event.data && event.data.type === 'SW_UPDATED') {
-      // Service worker has updated, reload to get fresh content
-      console.log('Service worker updated, reloading...');
-      window.location.reload();
+      // The reload (if any) is left to the controllerchange listener
+      console.log(`Service worker updated to ${event.data.version} (${event.data.changed} files changed)`);
+    }
+  }
+
+  const isField = (el) => el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement
+    || el instanceof HTMLSelectElement;
+
+  const readField = (field) => (field.type === 'checkbox' || field.type === 'radio' ? field.checked : field.value);
+
+  /** Remember a field's value (as the page set it) before the visitor edits it. */
+  function rememberField(e) {
+    const field = e.target;
+    if (isField(field) && !fieldBaselines.has(field)) fieldBaselines.set(field, readField(field));
+  }
+
+  /**
+   * A change to a field that was never focused or pressed (e.g. a checkbox toggled
+   * through its label in Safari): its earlier value is unknown, so count it as changed
+   */
+  function noteFieldChange(e) {
+    const field = e.target;
+    if (!isField(field) || fieldBaselines.has(field)) return;
+    fieldBaselines.set(field, field.type === 'checkbox' || field.type === 'radio' ? !field.checked : null);
+  }
+
+  function trackFieldEdits() {
+    ['focusin', 'pointerdown'].forEach((type) => document.addEventListener(type, rememberField, true));
+    ['input', 'change'].forEach((type) => document.addEventListener(type, noteFieldChange, true));
+    // A reset form (by the visitor or after sending) holds nothing to lose
+    document.addEventListener('reset', (e) => {
+      fieldBaselines.forEach((value, field) => {
+        if (field.form === e.target) fieldBaselines.delete(field);
+      });
+    }, true);
+  }
+
+  /**
+   * Whether reloading now would lose something: an open dialog or a form
+   * field the visitor changed
+   * @returns {boolean}
+   */
+  function isBusy() {
+    if (document.querySelector('[role="dialog"].active, [role="dialog"][aria-hidden="false"]')) return true;
+
+    return Array.from(fieldBaselines).some(([field, value]) => field.isConnected && readField(field) !== value);
+  }
+
+  /**
+   * Tell the waiting worker to take over
+   * @param {{whenAlone?: boolean}} [options] - whenAlone: only if no other window
+   *   of the card is open
+   * @returns {boolean} Whether there was a waiting worker
+   */
+  function skipWaiting({ whenAlone = false } = {}) {
+    if (!registration || !registration.waiting) return false;
+    registration.waiting.postMessage({ type: 'SKIP_WAITING', whenAlone });
+    return true;
+  }
+
+  /**
+   * Activate the waiting worker when the page is left while idle; the visitor
+   * sees the new version on their next navigation
+   */
+  function activateWhenIdle() {
+    if (refreshing || isBusy()) return;
+    skipWaiting({ whenAlone: true });
+  }
+
+  /**
+   * Apply the update now (the banner's Refresh button)
+   */
+  function applyUpdate() {
+    hideUpdateBanner();
+    refreshing = true;
+    // Already activated (e.g. by another tab): just load the new version
+    if (!skipWaiting()) window.location.reload();
+  }
+
+  /**
+   * Announce a status message to assistive technologies
+   * @param {string} message
+   */
+  function announce(message) {
+    const status = document.getElementById('a11y-status');
+    if (!status) return;
+    status.textContent = '';
+    setTimeout(() => {
+      status.textContent = message;
+    }, 10);
+  }
+
+  function showUpdateBanner() {
+    if (!banner || !banner.hidden) return;
+    banner.hidden = false;
+    // The message is already in the visitor's language (data-i18n)
+    const message = banner.querySelector('.update-banner-message');
+    if (message) announce(message.textContent);
+  }
+
+  function hideUpdateBanner() {
+    if (banner) banner.hidden = true;
+  }
+
+  if (banner) {
+    const refreshButton = banner.querySelector('.update-banner-refresh');
+    const dismissButton = banner.querySelector('.update-banner-dismiss');
+    if (refreshButton) refreshButton.addEventListener('click', applyUpdate);
+    if (dismissButton) dismissButton.addEventListener('click', hideUpdateBanner);
+  }
+
+  /**
+   * Opened from the home screen (or as an installed desktop app)
+   * @returns {boolean}
+   */
+  function isStandalone() {
+    return Boolean(window.matchMedia && window.matchMedia('(display-mode: standalone)').matches) ||
+      navigator.standalone === true;
+  }
+
+  /**
+   * iOS Safari: no beforeinstallprompt, the Share menu has "Add to Home Screen".
+   * Other iOS browsers and in-app browsers are left alone.
+   * @returns {boolean}
+   */
+  function isIOSSafari() {
+    const ua = navigator.userAgent || '';
+    const iOS = /iPad|iPhone|iPod/.test(ua) || (navigator.platform === 'MacIntel' && navigator.maxTouchPoints > 1);
+    return iOS && /Safari/.test(ua) && !/CriOS|FxiOS|EdgiOS|OPiOS|FBAN|FBAV|Instagram|Line\//.test(ua);
+  }
+
+  /** @returns {{state?: 'dismissed'|'installed', at?: number}} */
+  function readInstallState() {
+    try {
+      return JSON.parse(localStorage.getItem(INSTALL_STATE_KEY)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /** @param {'dismissed'|'installed'} state */
+  function writeInstallState(state) {
+    try {
+      localStorage.setItem(INSTALL_STATE_KEY, JSON.stringify({ state, at: Date.now() }));
+    } catch {
+      // Private mode: the banner may come back on the next visit
     }
   }
 
+  function canOfferInstall() {
+    if (!installBanner || isStandalone()) return false;
+
+    const { state, at = 0 } = readInstallState();
+    if (state === 'installed') return false;
+    return !(state === 'dismissed' && Date.now() - at < INSTALL_SNOOZE_DAYS * 86400000);
+  }
+
+  /**
+   * Show the install banner once the visitor isn't in the middle of something
+   * @param {'prompt'|'ios'} mode
+   */
+  function offerInstall(mode) {
+    window.setTimeout(() => {
+      if (!canOfferInstall() || (mode === 'prompt' && !deferredPrompt)) return;
+      // Not over a dialog, a half-filled form or the update banner
+      if (isBusy() || (banner && !banner.hidden)) return;
+
+      installBanner.querySelectorAll('[data-install-mode]').forEach((el) => {
+        el.hidden = el.getAttribute('data-install-mode') !== mode;
+      });
+      installBanner.hidden = false;
+    }, INSTALL_OFFER_DELAY);
+  }
+
+  function hideInstallBanner() {
+    if (installBanner) installBanner.hidden = true;
+  }
+
+  /**
+   * "Add card to home screen": the browser's own prompt
+   */
+  async function promptInstall() {
+    hideInstallBanner();
+    if (!deferredPrompt) return;
+
+    const promptEvent = deferredPrompt;
+    deferredPrompt = null;
+    try {
+      promptEvent.prompt();
+      const { outcome } = await promptEvent.userChoice;
+      if (window.CardAnalytics) window.CardAnalytics.track('pwa_install_prompt', { outcome });
+      if (outcome === 'dismissed') writeInstallState('dismissed');
+    } catch (err) {
+      console.warn('Install prompt failed:', err);
+    }
+  }
+
+  function dismissInstall() {
+    hideInstallBanner();
+    writeInstallState('dismissed');
+  }
+
+  if (installBanner) {
+    const addButton = installBanner.querySelector('.install-banner-add');
+    const dismissButton = installBanner.querySelector('.install-banner-dismiss');
+    if (addButton) addButton.addEventListener('click', promptInstall);
+    if (dismissButton) dismissButton.addEventListener('click', dismissInstall);
+  }
+
+  // Chrome / Edge / Android: keep the prompt for our own button (and skip the
+  // browser's mini-infobar, so a dismissed visitor isn't asked again)
+  window.addEventListener('beforeinstallprompt', (e) => {
+    e.preventDefault();
+    deferredPrompt = e;
+    offerInstall('prompt');
+  });
+
+  // Count installs (Chrome / Edge / Android fire appinstalled)
+  window.addEventListener('appinstalled', () => {
+    deferredPrompt = null;
+    hideInstallBanner();
+    writeInstallState('installed');
+    if (window.CardAnalytics) window.CardAnalytics.track('pwa_installed');
+  });
+
+  if (isStandalone()) {
+    // iOS has no appinstalled: opening from the home screen is the proof
+    writeInstallState('installed');
+    if (window.CardAnalytics) window.CardAnalytics.track('pwa_launched');
+  } else if (isIOSSafari()) {
+    offerInstall('ios');
+  }
+
+  trackFieldEdits();
+
   // Register service worker when page loads
   window.addEventListener('load', registerServiceWorker);
 
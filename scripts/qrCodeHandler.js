@@ -4,8 +4,16 @@
  * 
  * Features:
  * - QR code button click handling
- * - Placeholder for future QR code generation
+ * - QR generated client-side (QREncoder + QRRenderer)
+ * - Payload switcher: card URL, contact (vCard / MECARD), WhatsApp chat, Wi-Fi
+ * - PNG and SVG downloads rendered on the fly
+ * - Print-ready business card / sticker sheets (PrintCard): print dialog or SVG download
+ * - Branded styling from card.json `qr.style`: theme colours, rounded modules,
+ *   quiet zone and a centre logo (error correction raised to H while it's shown)
  * - Accessibility support
+ *
+ * The instance is exposed as `window.qrCodeHandler` (launchActions.js opens the
+ * dialog from the "Show QR" app shortcut).
  */
 
 class QRCodeHandler {
@@ -13,18 +21,32 @@ class QRCodeHandler {
     this.qrCodeButton = document.getElementById('qr-code');
     this.qrModal = document.getElementById('qr-modal');
     this.qrModalClose = document.querySelector('.qr-modal-close');
-    this.qrModalOverlay = document.querySelector('.qr-modal-overlay');
     this.qrDownloadBtn = document.getElementById('qr-download-btn');
-    this.appCard = document.getElementById('app-card');
-    this.lastFocusedElement = null;
-    this.focusableSelector = [
-      'a[href]',
-      'button:not([disabled])',
-      'input:not([disabled])',
-      'select:not([disabled])',
-      'textarea:not([disabled])',
-      '[tabindex]:not([tabindex="-1"])'
-    ].join(',');
+    this.qrDownloadSvgBtn = document.getElementById('qr-download-svg-btn');
+    this.qrPrintSection = document.getElementById('qr-print');
+    this.qrPrintSelect = document.getElementById('qr-print-select');
+    this.qrPrintBtn = document.getElementById('qr-print-btn');
+    this.qrPrintDownloadBtn = document.getElementById('qr-print-download-btn');
+    this.qrCodeContainer = document.querySelector('.qr-code-container');
+    this.payloadSelect = document.getElementById('qr-payload-select');
+    this.a11yStatusEl = document.getElementById('a11y-status');
+    // Profile as loaded (download names) and in the visitor's language (payloads, labels, print)
+    this.baseProfile = null;
+    this.profile = null;
+    // Card URL encoded in the QR; card.json `qr.url` overrides the current page URL.
+    this.cardUrl = `${window.location.origin}${window.location.pathname}`;
+    this.ecLevel = 'M';
+    // Rendering options passed to QRRenderer (see applyStyle)
+    this.qrStyle = { ...(window.QRRenderer ? window.QRRenderer.DEFAULTS : {}) };
+    this.logoSrc = '';
+    this.logo = null;
+    // Selected payload type (see QRPayloads.TYPES) and the payload currently shown
+    this.payloadType = 'url';
+    this.currentPayload = null;
+    this.ownerName = '';
+    this.fileBaseName = '';
+    // Longest side of the downloaded PNG in pixels
+    this.pngSize = 1024;
     this.init();
   }
 
@@ -35,396 +57,416 @@ class QRCodeHandler {
     if (this.qrCodeButton) {
       this.qrCodeButton.addEventListener('click', (e) => this.handleQRCodeClick(e));
     }
-    
-    if (this.qrModalClose) {
-      this.qrModalClose.addEventListener('click', (e) => this.closeModal(e));
+
+    this.getDownloadButtons().forEach((button) => {
+      button.addEventListener('click', (e) => this.handleDownloadClick(e));
+    });
+
+    if (this.qrPrintBtn) {
+      this.qrPrintBtn.addEventListener('click', (e) => this.handlePrintClick(e));
     }
-    
-    if (this.qrModalOverlay) {
-      this.qrModalOverlay.addEventListener('click', (e) => this.closeModal(e));
+
+    if (this.payloadSelect) {
+      this.payloadSelect.addEventListener('change', (e) => this.handlePayloadChange(e));
+      this.updatePayloadOptions();
     }
-    
-    if (this.qrDownloadBtn) {
-      this.qrDownloadBtn.addEventListener('click', (e) => this.handleDownloadClick(e));
-      // Add touch event handlers to ensure button returns to default state on touch devices
-      this.initQRDownloadButtonTouchHandlers();
+
+    this.renderQRCode();
+
+    // Card URL, label and download filename come from the shared card profile
+    if (window.CardProfile) {
+      window.CardProfile.load().then((profile) => this.applyProfile(profile));
     }
-    
-    // Global key handler (Escape + focus trap when modal is active)
-    document.addEventListener('keydown', (e) => this.handleKeydown(e));
-    
-    // Handle console panel interactions to prevent unwanted focus states
-    this.initConsoleInteractionHandlers();
+
+    // Payloads (vCard, WhatsApp message), labels and print captions follow the language
+    window.CardI18n.onChange(() => this.applyLanguage());
   }
 
   /**
-   * Handle QR code button click
-   * @param {Event} e - Click event
+   * Apply card profile details (card URL, error correction, payloads, download filename)
+   * @param {object|null} profile - Card profile, or null if it failed to load
    */
-  handleQRCodeClick(e) {
-    e.preventDefault();
-    this.showQRModal();
+  applyProfile(profile) {
+    if (!profile) return;
+
+    this.baseProfile = profile;
+    this.profile = this.localize(profile);
+    if (profile.qr?.url) this.cardUrl = profile.qr.url;
+    if (profile.qr?.ecLevel) this.ecLevel = profile.qr.ecLevel;
+    this.ownerName = this.profile.name.full;
+    this.fileBaseName = window.CardProfile.getFileBaseName(profile);
+
+    this.applyStyle(profile);
+    this.updatePayloadOptions();
+    this.renderQRCode();
+
+    // Print sheets need the profile for the card front
+    if (this.qrPrintSection && window.PrintCard) this.qrPrintSection.hidden = false;
+  }
+
+  /** Re-render the QR code and its label in the current language. */
+  applyLanguage() {
+    if (this.baseProfile) {
+      this.profile = this.localize(this.baseProfile);
+      this.ownerName = this.profile.name.full;
+    }
+    this.renderQRCode();
   }
 
   /**
-   * Show QR code modal
+   * Profile in the current language (CardI18n)
+   * @param {object} profile
+   * @returns {object}
    */
-  showQRModal() {
-    if (this.qrModal) {
-      // Store focus to restore on close
-      this.lastFocusedElement = document.activeElement;
+  localize(profile) {
+    return window.CardProfile.localize(profile, window.CardI18n.getLanguage());
+  }
 
-      this.qrModal.classList.add('active');
-      this.qrModal.setAttribute('aria-hidden', 'false');
-      document.body.style.overflow = 'hidden'; // Prevent background scrolling
+  /**
+   * Icon markup for button states (scripts/icons.js), or nothing without the sprite.
+   * @param {string} name
+   * @param {string} [className]
+   * @returns {string}
+   */
+  iconMarkup(name, className) {
+    return window.CardIcons ? window.CardIcons.markup(name, className) : '';
+  }
 
-      // Hide background content from assistive tech while modal is open
-      if (this.appCard) {
-        this.appCard.setAttribute('aria-hidden', 'true');
-      }
+  /**
+   * The card's themed accent and page colours (`themeColor`, `backgroundColor`), as
+   * the page shows them
+   * @param {object} [profile]
+   * @returns {object}
+   */
+  getAppColors(profile = this.profile) {
+    return window.CardTheme ? window.CardTheme.getAppColors(profile) : (profile?.app || {});
+  }
 
-      // Move focus into the modal (close button is a safe first target)
-      window.setTimeout(() => {
-        if (this.qrModalClose) this.qrModalClose.focus();
-      }, 0);
+  /**
+   * Resolve card.json `qr.style` into renderer options (see QRRenderer.fromCardStyle).
+   * Combinations that won't scan are refused in favour of black on white.
+   * @param {object} profile - Card profile
+   */
+  applyStyle(profile) {
+    if (!window.QRRenderer) return;
+
+    const { options, logoSrc, refused } = window.QRRenderer.fromCardStyle(profile.qr?.style, this.getAppColors(profile));
+    if (refused) console.warn(refused);
+    this.qrStyle = options;
+
+    // The logo is drawn once loaded; error correction switches to H straight away
+    // so the symbol doesn't change shape when it appears.
+    this.logoSrc = logoSrc;
+    this.logo = null;
+    if (this.logoSrc) {
+      window.QRRenderer.loadLogo(this.logoSrc).then((logo) => {
+        this.logo = logo;
+        this.renderQRCode();
+      }).catch((error) => {
+        console.warn('QR logo could not be loaded:', error);
+        this.logoSrc = '';
+        this.renderQRCode();
+      });
     }
   }
 
   /**
-   * Close QR code modal
-   * @param {Event} e - Click event
+   * Error correction used for encoding: H while a centre logo covers modules
+   * @returns {'L'|'M'|'Q'|'H'}
    */
-  closeModal(e) {
-    if (e && typeof e.preventDefault === 'function') e.preventDefault();
-    if (this.qrModal) {
-      // Clear focus from modal close button to prevent aria-hidden warning
-      if (this.qrModalClose && document.activeElement === this.qrModalClose) {
-        this.qrModalClose.blur();
-      }
-      
-      // Clear focus from QR button to prevent persistent hover effect
-      if (this.qrCodeButton && document.activeElement === this.qrCodeButton) {
-        this.qrCodeButton.blur();
-      }
-      
-      // Clear focus from QR download button and reset to default state
-      if (this.qrDownloadBtn) {
-        this.resetQRDownloadButtonState();
-      }
-      
-      this.qrModal.classList.remove('active');
-      this.qrModal.setAttribute('aria-hidden', 'true');
-      document.body.style.overflow = ''; // Restore scrolling
+  getECLevel() {
+    return this.logoSrc ? 'H' : this.ecLevel;
+  }
 
-      // Restore background accessibility
-      if (this.appCard) {
-        this.appCard.removeAttribute('aria-hidden');
-      }
+  /**
+   * Renderer options for the current style, plus any extras (title, pixelSize)
+   * @param {object} [extra]
+   * @returns {object}
+   */
+  getRenderOptions(extra) {
+    return { ...this.qrStyle, logo: this.logo, ...(extra || {}) };
+  }
 
-      // Restore focus to whatever triggered the modal (or QR button fallback)
-      const restoreTarget = this.lastFocusedElement || this.qrCodeButton;
-      if (restoreTarget && typeof restoreTarget.focus === 'function') {
-        window.setTimeout(() => restoreTarget.focus(), 0);
-      }
+  /**
+   * Hide payload options the profile can't provide (e.g. no Wi-Fi configured)
+   */
+  updatePayloadOptions() {
+    if (!this.payloadSelect) return;
+
+    Array.from(this.payloadSelect.options).forEach((option) => {
+      const available = window.QRPayloads
+        ? window.QRPayloads.isAvailable(option.value, this.profile)
+        : option.value === 'url';
+      option.hidden = !available;
+      option.disabled = !available;
+    });
 
-      // UX polish: if the pointer is still over the QR button (common when user clicks
-      // QR then presses Escape), the button can appear "hovered" immediately after close.
-      // We suppress hover effects until the pointer actually leaves the button.
-      if (restoreTarget === this.qrCodeButton && this.qrCodeButton) {
-        this.suppressHoverUntilPointerLeaves(this.qrCodeButton);
-      }
-    }
+    if (this.payloadSelect.selectedOptions[0]?.disabled) this.payloadSelect.value = 'url';
+    this.payloadType = this.payloadSelect.value || 'url';
   }
 
   /**
-   * Handle keyboard events
-   * @param {Event} e - Keyboard event
+   * Switch the QR payload from the selector
+   * @param {Event} e - Change event
    */
-  handleKeydown(e) {
-    if (!this.qrModal || !this.qrModal.classList.contains('active')) return;
-
-    // Escape closes the modal
-    if (e.key === 'Escape') {
-      this.closeModal(e);
-      return;
+  handlePayloadChange(e) {
+    this.payloadType = e.target.value || 'url';
+    this.renderQRCode();
+    if (this.currentPayload) {
+      const { description } = this.currentPayload;
+      this.announce(window.CardI18n.t('qr.changed', { description }));
     }
+  }
 
-    // Trap focus within the modal when using Tab/Shift+Tab
-    if (e.key === 'Tab') {
-      this.trapFocus(e);
+  /**
+   * Build the selected payload (falls back to the card URL)
+   * @returns {{text: string, fileSuffix: string, description: string, caption: string}}
+   */
+  buildPayload() {
+    if (window.QRPayloads) {
+      try {
+        return window.QRPayloads.build(this.payloadType, {
+          profile: this.profile,
+          cardUrl: this.cardUrl,
+          ecLevel: this.getECLevel()
+        });
+      } catch (error) {
+        console.warn('QR payload unavailable, using card URL:', error);
+      }
     }
+    return {
+      type: 'url',
+      text: this.cardUrl,
+      fileSuffix: 'QR-Code',
+      description: window.CardI18n.t('qr.description.url'),
+      caption: window.CardI18n.t('qr.caption.url')
+    };
   }
 
   /**
-   * Keep keyboard focus inside the modal while it's open.
-   * @param {KeyboardEvent} e
+   * Accessible name for the QR image, e.g. "Emma Wilson contact details QR code"
+   * @returns {string}
    */
-  trapFocus(e) {
-    if (!this.qrModal) return;
-
-    const focusables = Array.from(this.qrModal.querySelectorAll(this.focusableSelector))
-      // Filter out elements that are not visible (defensive)
-      .filter(el => !!(el.offsetWidth || el.offsetHeight || el.getClientRects().length));
-
-    if (focusables.length === 0) return;
-
-    const first = focusables[0];
-    const last = focusables[focusables.length - 1];
-
-    // If Shift+Tab on first, loop to last
-    if (e.shiftKey && document.activeElement === first) {
-      e.preventDefault();
-      last.focus();
-      return;
-    }
+  getQRLabel() {
+    const description = this.currentPayload ? this.currentPayload.description : window.CardI18n.t('qr.description.url');
+    return window.CardI18n.t('qr.label', { name: this.ownerName, description }).replace(/\s+/g, ' ').trim();
+  }
 
-    // If Tab on last, loop to first
-    if (!e.shiftKey && document.activeElement === last) {
-      e.preventDefault();
-      first.focus();
+  /**
+   * Download filename reflecting the payload, e.g. "Emma-Wilson-WiFi-QR.png",
+   * or the print layout, e.g. "Emma-Wilson-Business-Card-US.svg"
+   * @param {'png'|'svg'|'print'} format
+   * @returns {string}
+   */
+  getDownloadFileName(format) {
+    if (format === 'print') {
+      const layout = window.PrintCard.LAYOUTS[this.getPrintLayout()];
+      return `${[this.fileBaseName, layout.fileSuffix].filter(Boolean).join('-')}.svg`;
     }
+    const suffix = this.currentPayload ? this.currentPayload.fileSuffix : 'QR-Code';
+    return `${[this.fileBaseName, suffix].filter(Boolean).join('-')}.${format}`;
   }
 
   /**
-   * Temporarily disable hover styling on an element until the next mouse move.
-   * Prevents "hover flash" after closing overlays/modals with the pointer resting
-   * on the trigger element.
-   * @param {HTMLElement} el
+   * Download buttons present in the modal (PNG, SVG, print sheet)
+   * @returns {HTMLButtonElement[]}
    */
-  suppressHoverUntilPointerLeaves(el) {
-    if (!el || !el.classList) return;
-    el.classList.add('suppress-hover');
+  getDownloadButtons() {
+    return [this.qrDownloadBtn, this.qrDownloadSvgBtn, this.qrPrintDownloadBtn].filter(Boolean);
+  }
 
-    const clear = () => el.classList.remove('suppress-hover');
+  /**
+   * Selected print layout (see PrintCard.LAYOUTS)
+   * @returns {'us'|'eu'|'sticker'}
+   */
+  getPrintLayout() {
+    const value = this.qrPrintSelect ? this.qrPrintSelect.value : 'us';
+    return window.PrintCard && window.PrintCard.LAYOUTS[value] ? value : 'us';
+  }
 
-    // Clear only once the pointer leaves the trigger. This guarantees the
-    // element won't look hovered while the cursor is resting on it.
-    el.addEventListener('pointerleave', clear, { once: true });
-    // Fallback for older browsers/environments
-    el.addEventListener('mouseleave', clear, { once: true });
+  /**
+   * Build the print sheet for the selected layout: card front from the profile,
+   * back (or sticker) with the current QR payload and style
+   * @returns {string} SVG document
+   */
+  buildPrintSheet() {
+    const qr = this.encodeQRCode();
+    const { backgroundColor, themeColor } = this.getAppColors();
+    return window.PrintCard.buildSheet(this.profile, {
+      layout: this.getPrintLayout(),
+      qrSvg: (box) => window.QRRenderer.toSVG(qr, this.getRenderOptions({ attributes: box })),
+      caption: this.currentPayload.caption,
+      logo: this.logo,
+      colors: {
+        background: backgroundColor,
+        accent: themeColor,
+        qrForeground: this.qrStyle.foreground,
+        qrBackground: this.qrStyle.background
+      }
+    });
   }
 
   /**
-   * Handle download button click
+   * Open the print dialog for the selected layout
    * @param {Event} e - Click event
    */
-  handleDownloadClick(e) {
+  async handlePrintClick(e) {
     e.preventDefault();
-    this.downloadQRCode();
+    if (!this.profile || !window.PrintCard) return;
+
+    const layoutKey = this.getPrintLayout();
+    const label = window.CardI18n.t(`print.${layoutKey}`).toLowerCase();
+    try {
+      this.announce(window.CardI18n.t('print.opening', { layout: label }));
+      await window.PrintCard.print(this.buildPrintSheet(), this.getPrintLayout());
+    } catch (error) {
+      console.error('Print failed:', error);
+      this.announce(window.CardI18n.t('print.unavailable'));
+    }
   }
 
   /**
-   * Reset QR download button to default state
-   * Forces black background and white text using inline styles to override any hover state
+   * Encode the selected payload with the current settings
+   * @returns {object} QREncoder result
    */
-  resetQRDownloadButtonState() {
-    if (!this.qrDownloadBtn) return;
-    
-    // Blur to remove focus state
-    this.qrDownloadBtn.blur();
-    
-    // Explicitly set inline styles to force default state (overrides CSS hover)
-    this.qrDownloadBtn.style.backgroundColor = '#000000';
-    this.qrDownloadBtn.style.color = '#ffffff';
-    this.qrDownloadBtn.style.transform = 'none';
-    this.qrDownloadBtn.style.boxShadow = 'none';
+  encodeQRCode() {
+    this.currentPayload = this.buildPayload();
+    return window.QREncoder.encode(this.currentPayload.text, { ecLevel: this.getECLevel() });
   }
 
   /**
-   * Download QR code image
+   * Render the QR code as inline SVG inside .qr-code-container
    */
-  downloadQRCode() {
-    // Store original text outside try-catch for proper scope
-    const originalText = this.qrDownloadBtn.innerHTML;
-    
-    // Immediately reset button to default state (removes hover/focus state on touch devices)
-    this.resetQRDownloadButtonState();
-    
-    try {
-      // Show loading state
-      this.qrDownloadBtn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Downloading...';
-      this.qrDownloadBtn.disabled = true;
-      // Maintain default black background even when disabled
-      this.resetQRDownloadButtonState();
-
-      // Create download link directly (no CORS issues)
-      const link = document.createElement('a');
-      link.href = 'assets/MYQR.png';
-      link.download = 'Emma-Wilson-QR-Code.png';
-      link.style.display = 'none';
-      
-      // Add to DOM, click, and remove
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-
-      // Show success state briefly
-      this.qrDownloadBtn.innerHTML = '<i class="fa-solid fa-check"></i> Downloaded!';
-      setTimeout(() => {
-        this.qrDownloadBtn.innerHTML = originalText;
-        this.qrDownloadBtn.disabled = false;
-        // Force button to return to default state after timeout
-        this.resetQRDownloadButtonState();
-      }, 2000);
+  renderQRCode() {
+    if (!this.qrCodeContainer || !window.QREncoder || !window.QRRenderer) return;
 
+    try {
+      this.qrCodeContainer.innerHTML = window.QRRenderer.toSVG(this.encodeQRCode(), this.getRenderOptions());
+      const svg = this.qrCodeContainer.querySelector('svg');
+      svg.classList.add('qr-code-image');
+      svg.setAttribute('role', 'img');
+      svg.setAttribute('aria-label', this.getQRLabel());
     } catch (error) {
-      console.error('Download failed:', error);
-      
-      // Show error state
-      this.qrDownloadBtn.innerHTML = '<i class="fa-solid fa-exclamation-triangle"></i> Error';
-      setTimeout(() => {
-        this.qrDownloadBtn.innerHTML = originalText;
-        this.qrDownloadBtn.disabled = false;
-        // Force button to return to default state after timeout
-        this.resetQRDownloadButtonState();
-      }, 2000);
+      console.error('QR code generation failed:', error);
+      this.qrCodeContainer.textContent = '';
     }
   }
-  
+
   /**
-   * Initialize touch event handlers for QR download button
-   * Ensures button returns to default state on touch devices
+   * Handle QR code button click
+   * @param {Event} e - Click event
    */
-  initQRDownloadButtonTouchHandlers() {
-    if (!this.qrDownloadBtn) return;
-    
-    // Handle touchstart - clear any existing focus and reset state
-    this.qrDownloadBtn.addEventListener('touchstart', (e) => {
-      // Reset to default state immediately on touch
-      this.resetQRDownloadButtonState();
-    }, { passive: true });
-    
-    // Handle touchend - ensure button returns to default state
-    this.qrDownloadBtn.addEventListener('touchend', (e) => {
-      // Reset to default state after touch interaction
-      setTimeout(() => {
-        this.resetQRDownloadButtonState();
-      }, 100);
-    }, { passive: true });
-    
-    // Handle touchcancel - ensure button returns to default state
-    this.qrDownloadBtn.addEventListener('touchcancel', (e) => {
-      this.resetQRDownloadButtonState();
-    }, { passive: true });
-    
-    // Handle click - ensure button returns to default state after click
-    this.qrDownloadBtn.addEventListener('click', (e) => {
-      // Reset to default state after click interaction
-      setTimeout(() => {
-        this.resetQRDownloadButtonState();
-      }, 100);
-    });
+  handleQRCodeClick(e) {
+    e.preventDefault();
+    this.showQRModal();
   }
 
   /**
-   * Initialize console interaction handlers to prevent unwanted focus states
+   * Show QR code modal (ModalManager: focus, Escape, scroll lock, inert page)
+   * @returns {Promise<void>} Resolves when the modal closes
    */
-  initConsoleInteractionHandlers() {
-    const getActionableEl = (target) => {
-      if (!target || typeof target.closest !== 'function') return null;
-      return target.closest('.contact-button, .contact-primary, .contact-action, .social-icon');
-    };
-
-    const blurActionable = (target) => {
-      const actionable = getActionableEl(target);
-      if (!actionable) return;
+  showQRModal() {
+    if (!this.qrModal || !window.ModalManager) return Promise.resolve();
+    if (window.ModalManager.isOpen(this.qrModal)) return window.ModalManager.open(this.qrModal);
 
-      // Blur the actionable element (if focusable) and any focused element inside the row.
-      if (typeof actionable.blur === 'function') actionable.blur();
+    if (window.CardAnalytics) window.CardAnalytics.track('qr_opened');
+    // Close button is a safe first target
+    return window.ModalManager.open(this.qrModal, { initialFocus: this.qrModalClose });
+  }
 
-      const row = actionable.closest('.contact-button, .contact-item');
-      if (row && typeof row.querySelectorAll === 'function') {
-        row.querySelectorAll('a, button, [tabindex]:not([tabindex="-1"])').forEach((el) => {
-          if (document.activeElement === el && typeof el.blur === 'function') el.blur();
-        });
-      }
-    };
+  /**
+   * Close QR code modal
+   * @param {Event} [e] - Click event
+   */
+  closeModal(e) {
+    if (e && typeof e.preventDefault === 'function') e.preventDefault();
+    if (this.qrModal && window.ModalManager) window.ModalManager.close(this.qrModal);
+  }
 
-    // Handle visibility change (console open/close)
-    document.addEventListener('visibilitychange', () => {
-      if (!document.hidden) {
-        // Page became visible (console closed), remove focus from all buttons
-        this.clearAllButtonFocus();
-      }
-    });
+  /**
+   * Handle download button click
+   * @param {Event} e - Click event
+   */
+  handleDownloadClick(e) {
+    e.preventDefault();
+    const button = e.currentTarget;
+    this.downloadQRCode(button?.dataset?.format || 'png', button);
+  }
 
-    // Handle window focus events
-    window.addEventListener('focus', () => {
-      // Small delay to ensure console is fully closed or user returned from new tab
-      setTimeout(() => {
-        this.clearAllButtonFocus();
-      }, 100);
-    });
+  /**
+   * Generate the QR code in the requested format
+   * @param {'png'|'svg'|'print'} format
+   * @returns {Promise<Blob>}
+   */
+  async createQRCodeBlob(format) {
+    if (format === 'print') {
+      return new Blob([this.buildPrintSheet()], { type: 'image/svg+xml;charset=utf-8' });
+    }
 
-    // Handle mouse events to ensure proper hover behavior (desktop)
-    document.addEventListener('mouseover', (e) => {
-      // Clear any existing focus when hovering over actionable UI
-      blurActionable(e.target);
-    });
+    const qr = this.encodeQRCode();
+    if (format === 'svg') {
+      const svg = window.QRRenderer.toSVG(qr, this.getRenderOptions({ title: this.getQRLabel() }));
+      return new Blob([svg], { type: 'image/svg+xml;charset=utf-8' });
+    }
+    return window.QRRenderer.toPNGBlob(qr, this.getRenderOptions({ pixelSize: this.pngSize }));
+  }
 
-    // Handle touch events for mobile focus clearing (no visual feedback)
-    document.addEventListener('touchstart', (e) => {
-      blurActionable(e.target);
-    });
+  /**
+   * Download the QR code image, generated on the fly
+   * @param {'png'|'svg'|'print'} [format='png']
+   * @param {HTMLButtonElement} [button] - Button that shows progress
+   */
+  async downloadQRCode(format = 'png', button = this.qrDownloadBtn) {
+    if (!button) return;
 
-    document.addEventListener('touchend', (e) => {
-      // Clear focus after touch interaction completes
-      setTimeout(() => blurActionable(e.target), 100);
-    });
+    // Store original text outside try-catch for proper scope
+    const originalText = button.innerHTML;
+    const restore = () => {
+      setTimeout(() => {
+        button.innerHTML = originalText;
+        button.disabled = false;
+      }, 2000);
+    };
 
-    document.addEventListener('touchcancel', (e) => {
-      blurActionable(e.target);
-    });
+    try {
+      // Show loading state
+      button.innerHTML = `${this.iconMarkup('spinner', 'icon-spin')} ${window.CardI18n.t('qr.downloading')}`;
+      button.disabled = true;
 
-    // Handle click events to clear focus after interaction (mobile and desktop)
-    document.addEventListener('click', (e) => {
-      // For keyboard-activated clicks (Enter/Space), keep focus for accessibility.
-      if (typeof e.detail === 'number' && e.detail === 0) return;
+      const blob = await this.createQRCodeBlob(format);
+      window.CardProfile.downloadBlob(blob, this.getDownloadFileName(format));
 
-      // Clear focus after click interaction with multiple attempts (covers sticky focus)
-      setTimeout(() => blurActionable(e.target), 50);
-      setTimeout(() => blurActionable(e.target), 200);
-    });
+      if (window.CardAnalytics) {
+        window.CardAnalytics.track('qr_downloaded', { format, payload: this.currentPayload.type });
+      }
 
-    // Additional mobile-specific focus clearing
-    document.addEventListener('touchcancel', (e) => {
-      blurActionable(e.target);
-    });
-  }
+      // Show success state briefly
+      button.innerHTML = `${this.iconMarkup('check')} ${window.CardI18n.t('qr.downloaded')}`;
+      restore();
 
-  /**
-   * Clear focus from all contact buttons
-   */
-  clearContactButtonFocus() {
-    const focusables = document.querySelectorAll('.contact-button, .contact-primary, .contact-action');
-    focusables.forEach((el) => {
-      if (document.activeElement === el && typeof el.blur === 'function') el.blur();
-    });
+    } catch (error) {
+      console.error('Download failed:', error);
+      
+      // Show error state
+      button.innerHTML = `${this.iconMarkup('triangle-exclamation')} ${window.CardI18n.t('qr.error')}`;
+      restore();
+    }
   }
-
+  
   /**
-   * Clear focus from all buttons (contact and social)
+   * Announce a short status message for screen readers via #a11y-status
+   * @param {string} message
    */
-  clearAllButtonFocus() {
-    // Clear contact buttons focus
-    this.clearContactButtonFocus();
-    
-    // Clear social media buttons focus
-    const socialButtons = document.querySelectorAll('.social-icon');
-    socialButtons.forEach(button => {
-      if (document.activeElement === button) {
-        button.blur();
-      }
-    });
-    
-    // Clear QR button focus
-    if (this.qrCodeButton && document.activeElement === this.qrCodeButton) {
-      this.qrCodeButton.blur();
-    }
+  announce(message) {
+    if (!this.a11yStatusEl) return;
+    this.a11yStatusEl.textContent = '';
+    window.setTimeout(() => {
+      this.a11yStatusEl.textContent = message;
+    }, 10);
   }
 }
 
 // Initialize when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
-  new QRCodeHandler();
+  window.qrCodeHandler = new QRCodeHandler();
 });
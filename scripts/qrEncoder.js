@@ -0,0 +1,448 @@
+/**
+ * QR Code Encoder
+ * Dependency-free QR Code Model 2 encoder (ISO/IEC 18004) for the card's QR modal.
+ *
+ * Features:
+ * - Byte mode (UTF-8), which every phone camera reads
+ * - Error correction levels L, M, Q, H
+ * - Automatic version selection (1-40) for the smallest symbol that fits
+ * - Automatic mask selection using the standard penalty rules
+ *
+ * Output is a plain module matrix; qrRenderer.js turns it into SVG / canvas / PNG.
+ */
+
+(() => {
+  /** Format-information bits for each error correction level. */
+  const EC_LEVELS = {
+    L: { ordinal: 0, formatBits: 1 },
+    M: { ordinal: 1, formatBits: 0 },
+    Q: { ordinal: 2, formatBits: 3 },
+    H: { ordinal: 3, formatBits: 2 }
+  };
+
+  const MIN_VERSION = 1;
+  const MAX_VERSION = 40;
+
+  // Index 0 is unused so tables can be addressed by version number.
+  const ECC_CODEWORDS_PER_BLOCK = [
+    // L
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    // M
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    // Q
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    // H
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  ];
+
+  const NUM_ERROR_CORRECTION_BLOCKS = [
+    // L
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    // M
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    // Q
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    // H
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  ];
+
+  const MASK_PATTERNS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+  ];
+
+  const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+  /* ---------- Capacity ---------- */
+
+  /** Modules available for data + ECC once function patterns are placed. */
+  const getNumRawDataModules = (version) => {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  };
+
+  const getNumDataCodewords = (version, ecl) =>
+    Math.floor(getNumRawDataModules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+
+  /** Byte mode character count indicator length. */
+  const getCharCountBits = (version) => (version <= 9 ? 8 : 16);
+
+  /* ---------- Reed-Solomon over GF(2^8), polynomial 0x11D ---------- */
+
+  const gfMultiply = (x, y) => {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11d);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  };
+
+  const reedSolomonDivisor = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = gfMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = gfMultiply(root, 0x02);
+    }
+    return result;
+  };
+
+  const reedSolomonRemainder = (data, divisor) => {
+    const result = divisor.map(() => 0);
+    data.forEach((byte) => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => {
+        result[i] ^= gfMultiply(coef, factor);
+      });
+    });
+    return result;
+  };
+
+  /** Split data into blocks, append ECC to each, then interleave. */
+  const addEccAndInterleave = (data, version, ecl) => {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const blocks = [];
+    const divisor = reedSolomonDivisor(blockEccLen);
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = reedSolomonRemainder(dat, divisor);
+      // Pad short blocks so every block has the same length while interleaving.
+      if (i < numShortBlocks) dat.push(0);
+      blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  };
+
+  /* ---------- Matrix construction ---------- */
+
+  const getAlignmentPatternPositions = (version, size) => {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const result = [6];
+    for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+    return result;
+  };
+
+  const createMatrix = (version) => {
+    const size = version * 4 + 17;
+    const modules = [];
+    const isFunction = [];
+    for (let i = 0; i < size; i++) {
+      modules.push(new Array(size).fill(false));
+      isFunction.push(new Array(size).fill(false));
+    }
+    return { version, size, modules, isFunction };
+  };
+
+  const setFunctionModule = (m, x, y, dark) => {
+    m.modules[y][x] = dark;
+    m.isFunction[y][x] = true;
+  };
+
+  const drawFinderPattern = (m, x, y) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < m.size && yy >= 0 && yy < m.size) {
+          setFunctionModule(m, xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  };
+
+  const drawAlignmentPattern = (m, x, y) => {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        setFunctionModule(m, x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  };
+
+  const drawFormatBits = (m, ecl, mask) => {
+    const data = (ecl.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+
+    // First copy (around the top-left finder)
+    for (let i = 0; i <= 5; i++) setFunctionModule(m, 8, i, getBit(bits, i));
+    setFunctionModule(m, 8, 7, getBit(bits, 6));
+    setFunctionModule(m, 8, 8, getBit(bits, 7));
+    setFunctionModule(m, 7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunctionModule(m, 14 - i, 8, getBit(bits, i));
+
+    // Second copy (split between the other two finders)
+    for (let i = 0; i < 8; i++) setFunctionModule(m, m.size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunctionModule(m, 8, m.size - 15 + i, getBit(bits, i));
+    // Dark module
+    setFunctionModule(m, 8, m.size - 8, true);
+  };
+
+  const drawVersionBits = (m) => {
+    if (m.version < 7) return;
+    let rem = m.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (m.version << 12) | rem;
+
+    for (let i = 0; i < 18; i++) {
+      const bit = getBit(bits, i);
+      const a = m.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunctionModule(m, a, b, bit);
+      setFunctionModule(m, b, a, bit);
+    }
+  };
+
+  const drawFunctionPatterns = (m, ecl) => {
+    for (let i = 0; i < m.size; i++) {
+      setFunctionModule(m, 6, i, i % 2 === 0);
+      setFunctionModule(m, i, 6, i % 2 === 0);
+    }
+
+    drawFinderPattern(m, 3, 3);
+    drawFinderPattern(m, m.size - 4, 3);
+    drawFinderPattern(m, 3, m.size - 4);
+
+    const positions = getAlignmentPatternPositions(m.version, m.size);
+    const last = positions.length - 1;
+    positions.forEach((py, i) => {
+      positions.forEach((px, j) => {
+        // Skip the three corners occupied by finder patterns
+        const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+        if (!overlapsFinder) drawAlignmentPattern(m, px, py);
+      });
+    });
+
+    // Reserve format areas (real bits drawn once the mask is chosen)
+    drawFormatBits(m, ecl, 0);
+    drawVersionBits(m);
+  };
+
+  /** Place codewords in the two-column zigzag, skipping function modules. */
+  const drawCodewords = (m, codewords) => {
+    let i = 0;
+    const totalBits = codewords.length * 8;
+    for (let right = m.size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // Skip the vertical timing column
+      for (let vert = 0; vert < m.size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? m.size - 1 - vert : vert;
+          if (!m.isFunction[y][x] && i < totalBits) {
+            m.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  };
+
+  /** XOR a mask over the data modules. Applying the same mask twice undoes it. */
+  const applyMask = (m, mask) => {
+    const pattern = MASK_PATTERNS[mask];
+    for (let y = 0; y < m.size; y++) {
+      for (let x = 0; x < m.size; x++) {
+        if (!m.isFunction[y][x] && pattern(x, y)) m.modules[y][x] = !m.modules[y][x];
+      }
+    }
+  };
+
+  /* ---------- Mask penalty (ISO/IEC 18004 §7.8.3) ---------- */
+
+  const FINDER_LIKE = [
+    [true, false, true, true, true, false, true, false, false, false, false],
+    [false, false, false, false, true, false, true, true, true, false, true]
+  ];
+
+  const lineAt = (m, index, horizontal) => (horizontal
+    ? m.modules[index]
+    : m.modules.map((row) => row[index]));
+
+  const getPenaltyScore = (m) => {
+    let result = 0;
+    const { size } = m;
+
+    for (let index = 0; index < size; index++) {
+      [true, false].forEach((horizontal) => {
+        const line = lineAt(m, index, horizontal);
+
+        // N1: runs of five or more same-coloured modules
+        let runLength = 1;
+        for (let i = 1; i <= size; i++) {
+          if (i < size && line[i] === line[i - 1]) {
+            runLength++;
+          } else {
+            if (runLength >= 5) result += 3 + (runLength - 5);
+            runLength = 1;
+          }
+        }
+
+        // N3: 1:1:3:1:1 finder-like patterns with four light modules on one side
+        for (let i = 0; i + 11 <= size; i++) {
+          FINDER_LIKE.forEach((pattern) => {
+            if (pattern.every((dark, k) => line[i + k] === dark)) result += 40;
+          });
+        }
+      });
+    }
+
+    // N2: 2x2 blocks of the same colour
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = m.modules[y][x];
+        if (c === m.modules[y][x + 1] && c === m.modules[y + 1][x] && c === m.modules[y + 1][x + 1]) {
+          result += 3;
+        }
+      }
+    }
+
+    // N4: balance of dark and light modules
+    let dark = 0;
+    m.modules.forEach((row) => row.forEach((cell) => { if (cell) dark++; }));
+    const total = size * size;
+    const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+    result += k * 10;
+
+    return result;
+  };
+
+  /* ---------- Data encoding ---------- */
+
+  const appendBits = (bits, value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  /** Mode indicator, count, payload, terminator and pad bytes. */
+  const buildDataCodewords = (bytes, version, ecl) => {
+    const capacityBits = getNumDataCodewords(version, ecl) * 8;
+    const bits = [];
+    appendBits(bits, 0b0100, 4); // Byte mode
+    appendBits(bits, bytes.length, getCharCountBits(version));
+    bytes.forEach((b) => appendBits(bits, b, 8));
+
+    appendBits(bits, 0, Math.min(4, capacityBits - bits.length));
+    appendBits(bits, 0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) appendBits(bits, pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+    return codewords;
+  };
+
+  const toBytes = (data) => {
+    if (data instanceof Uint8Array) return Array.from(data);
+    if (Array.isArray(data)) return data.slice();
+    return Array.from(new TextEncoder().encode(String(data ?? '')));
+  };
+
+  /**
+   * Encode text (UTF-8) or bytes into a QR code.
+   * @param {string|Uint8Array|number[]} data
+   * @param {object} [options]
+   * @param {'L'|'M'|'Q'|'H'} [options.ecLevel='M'] - Error correction level
+   * @param {number} [options.minVersion=1] - Smallest version to consider
+   * @param {number} [options.maxVersion=40] - Largest version to consider
+   * @param {number} [options.mask=-1] - Force a mask (0-7); -1 picks the lowest penalty
+   * @returns {{version: number, size: number, ecLevel: string, mask: number, modules: boolean[][]}}
+   */
+  const encode = (data, { ecLevel = 'M', minVersion = MIN_VERSION, maxVersion = MAX_VERSION, mask = -1 } = {}) => {
+    const ecl = EC_LEVELS[String(ecLevel).toUpperCase()];
+    if (!ecl) throw new Error(`Unknown error correction level: ${ecLevel}`);
+    if (!(minVersion >= MIN_VERSION && minVersion <= maxVersion && maxVersion <= MAX_VERSION)) {
+      throw new RangeError('Invalid QR version range');
+    }
+    if (mask < -1 || mask > 7) throw new RangeError('Mask must be -1 or 0-7');
+
+    const bytes = toBytes(data);
+
+    let version = minVersion;
+    for (; version <= maxVersion; version++) {
+      const usedBits = 4 + getCharCountBits(version) + bytes.length * 8;
+      if (usedBits <= getNumDataCodewords(version, ecl) * 8) break;
+    }
+    if (version > maxVersion) throw new RangeError('Data too long for a QR code');
+
+    const m = createMatrix(version);
+    drawFunctionPatterns(m, ecl);
+    drawCodewords(m, addEccAndInterleave(buildDataCodewords(bytes, version, ecl), version, ecl));
+
+    let chosenMask = mask;
+    if (chosenMask === -1) {
+      let minPenalty = Infinity;
+      for (let i = 0; i < 8; i++) {
+        applyMask(m, i);
+        drawFormatBits(m, ecl, i);
+        const penalty = getPenaltyScore(m);
+        if (penalty < minPenalty) {
+          chosenMask = i;
+          minPenalty = penalty;
+        }
+        applyMask(m, i);
+      }
+    }
+    applyMask(m, chosenMask);
+    drawFormatBits(m, ecl, chosenMask);
+
+    return {
+      version,
+      size: m.size,
+      ecLevel: String(ecLevel).toUpperCase(),
+      mask: chosenMask,
+      modules: m.modules,
+      isFunction: m.isFunction
+    };
+  };
+
+  /**
+   * Largest byte payload that fits at a level (version 40).
+   * @param {'L'|'M'|'Q'|'H'} ecLevel
+   * @returns {number}
+   */
+  const getMaxBytes = (ecLevel = 'M') => {
+    const ecl = EC_LEVELS[String(ecLevel).toUpperCase()];
+    return Math.floor((getNumDataCodewords(MAX_VERSION, ecl) * 8 - 4 - getCharCountBits(MAX_VERSION)) / 8);
+  };
+
+  window.QREncoder = {
+    EC_LEVELS: Object.keys(EC_LEVELS),
+    encode,
+    getMaxBytes
+  };
+})();
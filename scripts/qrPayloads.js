@@ -0,0 +1,174 @@
+/**
+ * QR Payloads
+ * Builds the text encoded by the QR modal for each payload type.
+ *
+ * Types:
+ * - url:      the card URL
+ * - contact:  compact vCard 3.0, or MECARD when the vCard would need a dense symbol
+ * - whatsapp: wa.me chat link with a prefilled message
+ * - wifi:     WIFI: network payload (for studio guests)
+ *
+ * Availability depends on the card profile (e.g. `whatsapp`, `qr.wifi.ssid`).
+ * Descriptions and print captions come from CardI18n (scripts/i18n.js).
+ */
+
+(() => {
+  const TYPES = ['url', 'contact', 'whatsapp', 'wifi'];
+
+  // Above this version the contact QR gets hard to scan from a phone screen,
+  // so the shorter MECARD format is used instead.
+  const MAX_CONTACT_VERSION = 15;
+
+  /** Escape reserved characters in MECARD / WIFI fields. */
+  const escapeField = (value) => String(value ?? '').replace(/([\\;,:"])/g, '\\$1');
+
+  const getWhatsAppNumber = (profile) =>
+    String(profile?.whatsapp || profile?.phone?.number || '').replace(/\D/g, '');
+
+  const getWifi = (profile) => {
+    const wifi = profile?.qr?.wifi;
+    return wifi && wifi.ssid ? wifi : null;
+  };
+
+  /**
+   * Whether a payload type can be built for this profile.
+   * @param {string} type
+   * @param {object|null} profile
+   * @returns {boolean}
+   */
+  const isAvailable = (type, profile) => {
+    switch (type) {
+      case 'url':
+        return true;
+      case 'contact':
+        return Boolean(profile && window.VCardBuilder);
+      case 'whatsapp':
+        return Boolean(getWhatsAppNumber(profile));
+      case 'wifi':
+        return Boolean(getWifi(profile));
+      default:
+        return false;
+    }
+  };
+
+  /**
+   * MECARD (NTT docomo format, read by iOS and Android cameras).
+   * @param {object} profile
+   * @returns {string}
+   */
+  const buildMeCard = (profile) => {
+    const name = profile.name || {};
+    const fields = [];
+    const add = (key, value) => {
+      if (value) fields.push(`${key}:${escapeField(value)}`);
+    };
+
+    fields.push(`N:${[name.family, name.given].filter(Boolean).map(escapeField).join(',') || escapeField(name.full)}`);
+    add('ORG', profile.organization);
+    add('TEL', profile.phone?.number || profile.phone?.display);
+    add('EMAIL', profile.email);
+    add('URL', profile.website);
+    if (profile.address && window.CardProfile) add('ADR', window.CardProfile.formatAddress(profile.address));
+    add('NOTE', profile.title);
+
+    return `MECARD:${fields.join(';')};;`;
+  };
+
+  /** vCard without photo, social links or note to keep the symbol small. */
+  const buildCompactVCard = (profile) => {
+    const contact = {
+      ...window.VCardBuilder.fromProfile(profile),
+      socialProfiles: [],
+      impp: [],
+      note: '',
+      photo: null
+    };
+    return window.VCardBuilder.build(contact, { version: '3.0' });
+  };
+
+  /**
+   * wa.me chat link with prefilled text.
+   * @param {object} profile
+   * @param {string} [message]
+   * @returns {string}
+   */
+  const buildWhatsApp = (profile, message) => {
+    const url = `https://wa.me/${getWhatsAppNumber(profile)}`;
+    return message ? `${url}?text=${encodeURIComponent(message)}` : url;
+  };
+
+  /**
+   * WIFI: payload (ZXing format).
+   * @param {{ssid: string, password?: string, encryption?: 'WPA'|'WEP'|'nopass', hidden?: boolean}} wifi
+   * @returns {string}
+   */
+  const buildWifi = (wifi) => {
+    const encryption = wifi.password ? (wifi.encryption || 'WPA') : 'nopass';
+    const parts = [`T:${encryption}`, `S:${escapeField(wifi.ssid)}`];
+    if (encryption !== 'nopass') parts.push(`P:${escapeField(wifi.password)}`);
+    if (wifi.hidden) parts.push('H:true');
+    return `WIFI:${parts.join(';')};;`;
+  };
+
+  /**
+   * Build a payload.
+   * @param {string} type - One of TYPES
+   * @param {{profile: object|null, cardUrl: string, ecLevel?: string}} context
+   * @returns {{type: string, text: string, format: string, fileSuffix: string, description: string, caption: string}}
+   */
+  const build = (type, { profile, cardUrl, ecLevel = 'M' }) => {
+    if (!isAvailable(type, profile)) throw new Error(`QR payload not available: ${type}`);
+
+    switch (type) {
+      case 'contact': {
+        const vcard = buildCompactVCard(profile);
+        const { version } = window.QREncoder.encode(vcard, { ecLevel });
+        const useMeCard = version > MAX_CONTACT_VERSION;
+        return {
+          type,
+          text: useMeCard ? buildMeCard(profile) : vcard,
+          format: useMeCard ? 'mecard' : 'vcard',
+          fileSuffix: 'Contact-QR',
+          description: window.CardI18n.t('qr.description.contact'),
+          caption: window.CardI18n.t('qr.caption.contact')
+        };
+      }
+      case 'whatsapp':
+        return {
+          type,
+          text: buildWhatsApp(profile, profile.qr?.whatsappMessage),
+          format: 'url',
+          fileSuffix: 'WhatsApp-QR',
+          description: window.CardI18n.t('qr.description.whatsapp'),
+          caption: window.CardI18n.t('qr.caption.whatsapp')
+        };
+      case 'wifi':
+        return {
+          type,
+          text: buildWifi(getWifi(profile)),
+          format: 'wifi',
+          fileSuffix: 'WiFi-QR',
+          description: window.CardI18n.t('qr.description.wifi'),
+          caption: window.CardI18n.t('qr.caption.wifi', { ssid: getWifi(profile).ssid })
+        };
+      default:
+        return {
+          type: 'url',
+          text: cardUrl,
+          format: 'url',
+          fileSuffix: 'QR-Code',
+          description: window.CardI18n.t('qr.description.url'),
+          caption: window.CardI18n.t('qr.caption.url')
+        };
+    }
+  };
+
+  window.QRPayloads = {
+    TYPES,
+    isAvailable,
+    build,
+    buildMeCard,
+    buildWhatsApp,
+    buildWifi
+  };
+})();
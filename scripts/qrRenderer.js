@@ -0,0 +1,402 @@
+/**
+ * QR Code Renderer
+ * Draws QREncoder output as inline SVG, onto a canvas, or as a PNG Blob.
+ *
+ * Options shared by every output:
+ * - quietZone: light border in modules (the spec asks for 4)
+ * - foreground / background: module and background colours
+ * - moduleRadius: 0 for square modules, up to 0.5 for rounded ones
+ * - logo: { href, image } centre mark; `href` is a data URL for SVG output and
+ *   `image` a loaded HTMLImageElement for canvas output. Encode with error
+ *   correction H when using a logo, since it hides part of the symbol.
+ * - logoSize: logo width as a fraction of the symbol (capped at MAX_LOGO_SIZE)
+ * - attributes: extra attributes for the SVG root (e.g. x / y / width / height when
+ *   nesting the code inside a larger SVG)
+ *
+ * Colour combinations that phone cameras can't read are refused (see checkContrast).
+ *
+ * `fromCardStyle()` turns card.json `qr.style` into these options and `loadLogo()`
+ * prepares the logo, so the card page and the editor render the same code.
+ */
+
+(() => {
+  const DEFAULTS = {
+    quietZone: 4,
+    foreground: '#000000',
+    background: '#ffffff',
+    moduleRadius: 0,
+    logo: null,
+    logoSize: 0.22
+  };
+
+  // Level H restores up to 30% of codewords; keep the logo well below that.
+  const MAX_LOGO_SIZE = 0.3;
+
+  // Minimum WCAG contrast ratio between modules and background for reliable scanning.
+  const MIN_CONTRAST_RATIO = 4;
+
+  const round = (value) => Math.round(value * 1000) / 1000;
+
+  /* ---------- Colour contrast ---------- */
+
+  /**
+   * Parse #rgb, #rrggbb or rgb()/rgba() into [r, g, b].
+   * Other CSS colours are normalised through a canvas when one is available.
+   * @param {string} color
+   * @returns {number[]|null}
+   */
+  const parseColor = (color) => {
+    const value = String(color || '').trim();
+
+    let match = /^#([0-9a-f]{3})$/i.exec(value);
+    if (match) return match[1].split('').map((c) => parseInt(c + c, 16));
+
+    match = /^#([0-9a-f]{6})$/i.exec(value);
+    if (match) return [0, 2, 4].map((i) => parseInt(match[1].slice(i, i + 2), 16));
+
+    match = /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i.exec(value);
+    if (match) return match.slice(1, 4).map(Number);
+
+    if (typeof document !== 'undefined' && !value.startsWith('#') && !/^rgb/i.test(value)) {
+      const ctx = document.createElement('canvas').getContext('2d');
+      if (ctx) {
+        ctx.fillStyle = '#010203';
+        ctx.fillStyle = value;
+        if (ctx.fillStyle !== '#010203') return parseColor(ctx.fillStyle);
+      }
+    }
+    return null;
+  };
+
+  const relativeLuminance = ([r, g, b]) => {
+    const channel = (c) => {
+      const s = c / 255;
+      return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  };
+
+  /**
+   * Check that a colour pair will scan: dark modules on a light background
+   * with at least MIN_CONTRAST_RATIO contrast.
+   * @param {string} foreground
+   * @param {string} background
+   * @returns {{ok: boolean, ratio: number, reason: string}}
+   */
+  const checkContrast = (foreground, background) => {
+    const fg = parseColor(foreground);
+    const bg = parseColor(background);
+    if (!fg || !bg) return { ok: false, ratio: 0, reason: 'unrecognised colour' };
+
+    const lf = relativeLuminance(fg);
+    const lb = relativeLuminance(bg);
+    const ratio = round((Math.max(lf, lb) + 0.05) / (Math.min(lf, lb) + 0.05));
+
+    // Many scanners can't read inverted (light-on-dark) codes.
+    if (lf >= lb) return { ok: false, ratio, reason: 'modules must be darker than the background' };
+    if (ratio < MIN_CONTRAST_RATIO) {
+      return { ok: false, ratio, reason: `contrast ${ratio}:1 is below ${MIN_CONTRAST_RATIO}:1` };
+    }
+    return { ok: true, ratio, reason: '' };
+  };
+
+  /** Merge options with defaults and refuse unscannable colours. */
+  const resolveOptions = (options) => {
+    const settings = { ...DEFAULTS, ...(options || {}) };
+    const contrast = checkContrast(settings.foreground, settings.background);
+    if (!contrast.ok) throw new Error(`QR colours refused: ${contrast.reason}`);
+
+    settings.quietZone = Math.max(0, Math.round(settings.quietZone));
+    settings.moduleRadius = Math.min(0.5, Math.max(0, Number(settings.moduleRadius) || 0));
+    settings.logoSize = Math.min(MAX_LOGO_SIZE, Math.max(0, Number(settings.logoSize) || 0));
+    return settings;
+  };
+
+  /* ---------- Layout (shared by SVG and canvas) ---------- */
+
+  const isFinderModule = (qr, x, y) =>
+    (x < 7 && y < 7) || (x >= qr.size - 7 && y < 7) || (x < 7 && y >= qr.size - 7);
+
+  /** Centre box for the logo, aligned to the module grid. */
+  const getLogoBox = (qr, settings) => {
+    if (!settings.logo || !settings.logoSize) return null;
+    let modules = Math.floor(qr.size * settings.logoSize);
+    if ((qr.size - modules) % 2 !== 0) modules += 1;
+    if (modules < 3) return null;
+    const start = (qr.size - modules) / 2;
+    return { x: start + settings.quietZone, y: start + settings.quietZone, size: modules, start };
+  };
+
+  /**
+   * Convert the matrix into shapes in module units.
+   * - rects: dark modules (square runs merged, or individual rounded modules)
+   * - rings: finder patterns drawn as rounded squares when moduleRadius > 0
+   */
+  const layout = (qr, settings) => {
+    const offset = settings.quietZone;
+    const radius = settings.moduleRadius;
+    const logoBox = getLogoBox(qr, settings);
+    const rects = [];
+    const rings = [];
+
+    const hiddenByLogo = (x, y) => logoBox &&
+      x >= logoBox.start && x < logoBox.start + logoBox.size &&
+      y >= logoBox.start && y < logoBox.start + logoBox.size;
+    const drawn = (x, y) => qr.modules[y][x] && !hiddenByLogo(x, y) && !(radius > 0 && isFinderModule(qr, x, y));
+
+    for (let y = 0; y < qr.size; y++) {
+      let x = 0;
+      while (x < qr.size) {
+        if (!drawn(x, y)) {
+          x++;
+          continue;
+        }
+        if (radius > 0) {
+          rects.push({ x: x + offset, y: y + offset, w: 1, h: 1, r: radius });
+          x++;
+          continue;
+        }
+        const start = x;
+        while (x < qr.size && drawn(x, y)) x++;
+        rects.push({ x: start + offset, y: y + offset, w: x - start, h: 1, r: 0 });
+      }
+    }
+
+    if (radius > 0) {
+      [[0, 0], [qr.size - 7, 0], [0, qr.size - 7]].forEach(([fx, fy]) => {
+        const x = fx + offset;
+        const y = fy + offset;
+        rings.push({
+          outer: { x, y, w: 7, h: 7, r: radius * 3 },
+          inner: { x: x + 1, y: y + 1, w: 5, h: 5, r: radius * 2 },
+          eye: { x: x + 2, y: y + 2, w: 3, h: 3, r: radius * 1.5 }
+        });
+      });
+    }
+
+    return { dimension: qr.size + offset * 2, rects, rings, logoBox };
+  };
+
+  /* ---------- SVG ---------- */
+
+  const escapeXml = (text) => String(text).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+
+  // Shortest number form for path data ("0.35" -> ".35")
+  const num = (value) => String(round(value)).replace(/^(-?)0\./, '$1.');
+
+  const rectPath = ({ x, y, w, h, r }) => {
+    if (!r) return `M${x},${y}h${w}v${h}h-${w}z`;
+    const rr = Math.min(r, w / 2, h / 2);
+    const arc = (dx, dy) => `a${num(rr)},${num(rr)} 0 0 1 ${num(dx)},${num(dy)}`;
+    return `M${num(x + rr)},${y}h${num(w - rr * 2)}${arc(rr, rr)}v${num(h - rr * 2)}${arc(-rr, rr)}` +
+      `h${num(rr * 2 - w)}${arc(-rr, -rr)}v${num(rr * 2 - h)}${arc(rr, -rr)}z`;
+  };
+
+  /**
+   * Render as an SVG document string.
+   * @param {object} qr - Result of QREncoder.encode()
+   * @param {object} [options] - See module header, plus `title`
+   * @returns {string}
+   */
+  const toSVG = (qr, options) => {
+    const settings = resolveOptions(options);
+    const { dimension, rects, rings, logoBox } = layout(qr, settings);
+    const fg = escapeXml(settings.foreground);
+    const bg = escapeXml(settings.background);
+    const attributes = Object.entries(settings.attributes || {})
+      .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+      .join('');
+
+    const parts = [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" viewBox="0 0 ${dimension} ${dimension}"${attributes}${settings.moduleRadius ? '' : ' shape-rendering="crispEdges"'}>`,
+      settings.title ? `<title>${escapeXml(settings.title)}</title>` : '',
+      `<rect width="${dimension}" height="${dimension}" fill="${bg}"/>`,
+      `<path d="${rects.map(rectPath).join('')}" fill="${fg}"/>`
+    ];
+
+    if (rings.length) {
+      const ringPath = rings.map((ring) => rectPath(ring.outer) + rectPath(ring.inner)).join('');
+      parts.push(`<path d="${ringPath}" fill="${fg}" fill-rule="evenodd"/>`);
+      parts.push(`<path d="${rings.map((ring) => rectPath(ring.eye)).join('')}" fill="${fg}"/>`);
+    }
+
+    if (logoBox && settings.logo.href) {
+      const href = escapeXml(settings.logo.href);
+      const inset = 0.5;
+      parts.push(`<rect x="${logoBox.x}" y="${logoBox.y}" width="${logoBox.size}" height="${logoBox.size}" rx="1" fill="${bg}"/>`);
+      parts.push(`<image x="${logoBox.x + inset}" y="${logoBox.y + inset}" width="${logoBox.size - inset * 2}" height="${logoBox.size - inset * 2}" href="${href}" xlink:href="${href}" preserveAspectRatio="xMidYMid meet"/>`);
+    }
+
+    parts.push('</svg>');
+    return parts.join('');
+  };
+
+  /* ---------- Canvas / PNG ---------- */
+
+  const traceRect = (ctx, { x, y, w, h, r }, scale) => {
+    const px = x * scale;
+    const py = y * scale;
+    const pw = w * scale;
+    const ph = h * scale;
+    const pr = Math.min(r * scale, pw / 2, ph / 2);
+    if (!pr) {
+      ctx.rect(px, py, pw, ph);
+      return;
+    }
+    ctx.moveTo(px + pr, py);
+    ctx.arcTo(px + pw, py, px + pw, py + ph, pr);
+    ctx.arcTo(px + pw, py + ph, px, py + ph, pr);
+    ctx.arcTo(px, py + ph, px, py, pr);
+    ctx.arcTo(px, py, px + pw, py, pr);
+    ctx.closePath();
+  };
+
+  /**
+   * Draw onto a canvas, resizing it to `scale` pixels per module.
+   * @param {object} qr - Result of QREncoder.encode()
+   * @param {HTMLCanvasElement} canvas
+   * @param {object} [options] - See module header, plus `scale`
+   * @returns {HTMLCanvasElement}
+   */
+  const drawToCanvas = (qr, canvas, options) => {
+    const settings = resolveOptions(options);
+    const scale = settings.scale || 8;
+    const { dimension, rects, rings, logoBox } = layout(qr, settings);
+    canvas.width = dimension * scale;
+    canvas.height = dimension * scale;
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = settings.background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    ctx.fillStyle = settings.foreground;
+    ctx.beginPath();
+    rects.forEach((rect) => traceRect(ctx, rect, scale));
+    ctx.fill();
+
+    rings.forEach((ring) => {
+      ctx.beginPath();
+      traceRect(ctx, ring.outer, scale);
+      traceRect(ctx, ring.inner, scale);
+      ctx.fill('evenodd');
+      ctx.beginPath();
+      traceRect(ctx, ring.eye, scale);
+      ctx.fill();
+    });
+
+    const image = settings.logo && settings.logo.image;
+    if (logoBox && image && image.complete && image.naturalWidth) {
+      ctx.fillStyle = settings.background;
+      ctx.beginPath();
+      traceRect(ctx, { x: logoBox.x, y: logoBox.y, w: logoBox.size, h: logoBox.size, r: 1 }, scale);
+      ctx.fill();
+      const inset = 0.5;
+      ctx.drawImage(
+        image,
+        (logoBox.x + inset) * scale,
+        (logoBox.y + inset) * scale,
+        (logoBox.size - inset * 2) * scale,
+        (logoBox.size - inset * 2) * scale
+      );
+    }
+    return canvas;
+  };
+
+  /**
+   * Render as a PNG close to `pixelSize` wide (whole pixels per module).
+   * @param {object} qr - Result of QREncoder.encode()
+   * @param {object} [options] - See module header, plus `pixelSize`
+   * @returns {Promise<Blob>}
+   */
+  const toPNGBlob = (qr, options) => {
+    const settings = { ...DEFAULTS, ...(options || {}) };
+    const pixelSize = settings.pixelSize || 1024;
+    const scale = Math.max(1, Math.floor(pixelSize / (qr.size + settings.quietZone * 2)));
+    const canvas = drawToCanvas(qr, document.createElement('canvas'), { ...settings, scale });
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) resolve(blob);
+        else reject(new Error('PNG export failed'));
+      }, 'image/png');
+    });
+  };
+
+  /* ---------- Card style ---------- */
+
+  /**
+   * Renderer options from card.json `qr.style`.
+   * Colours may be CSS colours or "themeColor" / "backgroundColor" (from `app`);
+   * combinations that won't scan are refused in favour of black on white.
+   * @param {object} [style] - `qr.style`
+   * @param {object} [app] - `app` (theme / background colours)
+   * @returns {{options: object, logoSrc: string, refused: string}} `refused` explains a colour fallback
+   */
+  const fromCardStyle = (style = {}, app = {}) => {
+    const resolveColor = (value, fallback) => {
+      if (value === 'themeColor' || value === 'backgroundColor') return app?.[value] || fallback;
+      return value || fallback;
+    };
+
+    let foreground = resolveColor(style.foreground, DEFAULTS.foreground);
+    let background = resolveColor(style.background, DEFAULTS.background);
+    let refused = '';
+    const contrast = checkContrast(foreground, background);
+    if (!contrast.ok) {
+      refused = `QR colours ${foreground} on ${background} refused (${contrast.reason}); using black on white.`;
+      foreground = DEFAULTS.foreground;
+      background = DEFAULTS.background;
+    }
+
+    return {
+      options: {
+        ...DEFAULTS,
+        foreground,
+        background,
+        moduleRadius: style.rounded ? 0.35 : 0,
+        quietZone: Number.isFinite(style.quietZone) ? style.quietZone : DEFAULTS.quietZone
+      },
+      logoSrc: style.logo || '',
+      refused
+    };
+  };
+
+  /**
+   * Load a centre logo as a data URL (embedded in SVG output)
+   * and a decoded image (drawn on canvas)
+   * @param {string} src
+   * @returns {Promise<{href: string, image: HTMLImageElement}>}
+   */
+  const loadLogo = async (src) => {
+    const res = await fetch(src);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const blob = await res.blob();
+
+    const href = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Logo image failed to decode'));
+      img.src = href;
+    });
+
+    return { href, image };
+  };
+
+  window.QRRenderer = {
+    DEFAULTS,
+    MIN_CONTRAST_RATIO,
+    checkContrast,
+    fromCardStyle,
+    loadLogo,
+    toSVG,
+    drawToCanvas,
+    toPNGBlob
+  };
+})();
@@ -0,0 +1,202 @@
+/**
+ * Share Handler Component
+ * "Share this card" action in the footer.
+ *
+ * Features:
+ * - Web Share API on mobile, including the contact card as a .vcf file when
+ *   `navigator.canShare({ files })` allows it
+ * - Share sheet fallback (desktop, or when Web Share is unavailable / fails):
+ *   copy link, email (mailto via buildMailtoUrl), WhatsApp and LinkedIn share URLs
+ *   opened through DigitalCardActions.resolveAndOpenExternalUrl
+ * - The share sheet is a ModalManager dialog (focus trap, Escape to close); status
+ *   goes to #a11y-status
+ * - Shared text and contact file follow the visitor's language (CardI18n)
+ */
+
+class ShareHandler {
+  constructor() {
+    this.shareButton = document.getElementById('share-card');
+    this.shareModal = document.getElementById('share-modal');
+    this.shareModalClose = this.shareModal ? this.shareModal.querySelector('.share-modal-close') : null;
+    this.a11yStatusEl = document.getElementById('a11y-status');
+    this.profile = null;
+    // Shared URL; card.json `qr.url` overrides the current page URL (same as the QR code).
+    this.cardUrl = `${window.location.origin}${window.location.pathname}`;
+    // Prepared ahead of time: navigator.share() must run while the tap still counts as user activation.
+    this.vcfFile = null;
+    this.init();
+  }
+
+  init() {
+    if (!this.shareButton) return;
+    this.shareButton.addEventListener('click', (e) => this.handleShareClick(e));
+
+    if (this.shareModal) {
+      this.shareModal.querySelectorAll('[data-share]').forEach((button) => {
+        button.addEventListener('click', (e) => this.handleShareTarget(e));
+      });
+    }
+
+    if (window.CardProfile) {
+      window.CardProfile.load().then((profile) => this.applyProfile(profile));
+    }
+    window.CardI18n.onChange(() => this.applyProfile(this.profile));
+  }
+
+  /**
+   * Use the profile for the shared text and prepare the .vcf file
+   * (again after a language change, as the file is written in that language)
+   * @param {object|null} profile
+   */
+  async applyProfile(profile) {
+    if (!profile) return;
+    this.profile = profile;
+    if (profile.qr?.url) this.cardUrl = profile.qr.url;
+
+    if (window.vCardHandler) {
+      try {
+        this.vcfFile = await window.vCardHandler.createVCardFile();
+      } catch (error) {
+        console.warn('Contact file not available for sharing:', error);
+      }
+    }
+  }
+
+  /**
+   * Title, text and URL shared by every target
+   * @returns {{title: string, text: string, url: string}}
+   */
+  getShareData() {
+    if (!this.profile) return { title: document.title, text: document.title, url: this.cardUrl };
+
+    const profile = window.CardProfile.localize(this.profile, window.CardI18n.getLanguage());
+    const name = window.CardProfile.getFullName(profile);
+    const role = [profile.title, profile.organization].filter(Boolean).join(' · ');
+    return {
+      title: window.CardI18n.t('share.documentTitle', { name }),
+      text: role ? `${name} — ${role}` : name,
+      url: this.cardUrl
+    };
+  }
+
+  /**
+   * Native share on mobile; share sheet otherwise
+   * @param {Event} e - Click event
+   */
+  async handleShareClick(e) {
+    e.preventDefault();
+
+    const actions = window.DigitalCardActions;
+    const canShareNatively = typeof navigator.share === 'function' && !(actions && actions.isDesktop());
+    if (!canShareNatively) {
+      this.openShareSheet();
+      return;
+    }
+
+    const data = this.getShareData();
+    const files = this.vcfFile ? [this.vcfFile] : [];
+    const withFile = files.length && typeof navigator.canShare === 'function' && navigator.canShare({ files });
+
+    try {
+      await navigator.share(withFile ? { ...data, files } : data);
+      this.announce(window.CardI18n.t('share.done'));
+    } catch (error) {
+      // AbortError: the user closed the share sheet
+      if (error && error.name === 'AbortError') return;
+      console.warn('Web Share failed, showing share options:', error);
+      this.openShareSheet();
+    }
+  }
+
+  /**
+   * Run one of the share sheet targets
+   * @param {Event} e - Click event
+   */
+  handleShareTarget(e) {
+    e.preventDefault();
+    const target = e.currentTarget.dataset.share;
+    const { title, text, url } = this.getShareData();
+    const actions = window.DigitalCardActions;
+
+    switch (target) {
+      case 'copy':
+        this.copyLink(url);
+        return;
+      case 'email':
+        if (!actions) return;
+        window.location.href = actions.buildMailtoUrl({ to: '', subject: title, body: `${text}\n\n${url}` });
+        break;
+      case 'whatsapp':
+        if (!actions) return;
+        actions.resolveAndOpenExternalUrl(`https://wa.me/?text=${encodeURIComponent(`${text} ${url}`)}`);
+        break;
+      case 'linkedin':
+        if (!actions) return;
+        actions.resolveAndOpenExternalUrl(`https://www.linkedin.com/sharing/share-offsite/?url=${encodeURIComponent(url)}`);
+        break;
+      default:
+        return;
+    }
+    this.closeShareSheet();
+  }
+
+  /**
+   * Copy the card link (Clipboard API with execCommand fallback)
+   * @param {string} url
+   */
+  async copyLink(url) {
+    try {
+      await navigator.clipboard.writeText(url);
+      this.announce(window.CardI18n.t('share.copied'));
+      return;
+    } catch (err) {
+      console.warn('Clipboard API unavailable, using fallback:', err);
+    }
+
+    const activeElement = document.activeElement;
+    const textArea = document.createElement('textarea');
+    textArea.value = url;
+    textArea.setAttribute('readonly', '');
+    textArea.style.position = 'fixed';
+    textArea.style.left = '-999999px';
+    textArea.style.top = '-999999px';
+    (this.shareModal || document.body).appendChild(textArea);
+    textArea.select();
+
+    try {
+      document.execCommand('copy');
+      this.announce(window.CardI18n.t('share.copied'));
+    } catch (err) {
+      console.error('Fallback copy failed: ', err);
+      this.announce(window.CardI18n.t('copy.failed'));
+    }
+
+    textArea.remove();
+    if (activeElement && typeof activeElement.focus === 'function') activeElement.focus();
+  }
+
+  openShareSheet() {
+    if (!this.shareModal || !window.ModalManager) return;
+    window.ModalManager.open(this.shareModal, { initialFocus: this.shareModalClose });
+  }
+
+  /**
+   * @param {Event} [e]
+   */
+  closeShareSheet(e) {
+    if (e && typeof e.preventDefault === 'function') e.preventDefault();
+    if (this.shareModal && window.ModalManager) window.ModalManager.close(this.shareModal);
+  }
+
+  announce(message) {
+    if (!this.a11yStatusEl) return;
+    this.a11yStatusEl.textContent = '';
+    window.setTimeout(() => {
+      this.a11yStatusEl.textContent = message;
+    }, 10);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new ShareHandler();
+});
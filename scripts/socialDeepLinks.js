@@ -6,6 +6,8 @@
  * - Do NOT force native apps (no package forcing, no private/undocumented URI schemes)
  * - Use deep links ONLY when officially documented and stable — by default this module
  *   avoids deep links for social platforms to preserve OS intent resolution + app choosers.
+ * - Opt-in app fallback (`data-app-fallback`): on mobile, try the platform's app scheme and
+ *   show #app-download-modal (Play Store / App Store / Open in Browser) if the app doesn't open.
  *
  * Behavior requirements:
  * - Desktop: open external links in a new tab (noopener, noreferrer)
@@ -82,21 +84,127 @@
     window.location.assign(url);
   };
 
+  /** Non-empty path segments of a URL, e.g. ['in', 'emmawilsonphoto']. */
+  const getPathSegments = (rawUrl) => {
+    try {
+      return new URL(rawUrl, window.location.href).pathname.split('/').filter(Boolean);
+    } catch {
+      return [];
+    }
+  };
+
   /**
    * Platform rules configuration (easy to extend)
    * - Primary is always HTTPS for social platforms
    * - `hosts` are only used for inference when `data-platform` is missing
+   * - `name`, `icon` and `stores` feed the opt-in app fallback modal
+   * - `appUrl(webUrl)` builds the documented app scheme used ONLY by the opt-in
+   *   app fallback (returns '' when the profile URL has no app equivalent)
    */
   const PLATFORM_RULES = {
-    facebook: { hosts: ['facebook.com', 'www.facebook.com', 'm.facebook.com'] },
-    instagram: { hosts: ['instagram.com', 'www.instagram.com', 'm.instagram.com'] },
-    linkedin: { hosts: ['linkedin.com', 'www.linkedin.com'] },
-    twitter: { hosts: ['x.com', 'www.x.com', 'twitter.com', 'www.twitter.com', 'mobile.twitter.com'] },
-    whatsapp: { hosts: ['wa.me', 'api.whatsapp.com', 'chat.whatsapp.com'] },
-    telegram: { hosts: ['t.me', 'telegram.me'] },
-    youtube: { hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be'] },
-    tiktok: { hosts: ['tiktok.com', 'www.tiktok.com'] },
-    snapchat: { hosts: ['snapchat.com', 'www.snapchat.com'] },
+    facebook: {
+      hosts: ['facebook.com', 'www.facebook.com', 'm.facebook.com'],
+      name: 'Facebook',
+      icon: 'facebook',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=com.facebook.katana',
+        ios: 'https://apps.apple.com/app/facebook/id284882215'
+      },
+      appUrl: (webUrl) => `fb://facewebmodal/f?href=${encodeURIComponent(webUrl)}`
+    },
+    instagram: {
+      hosts: ['instagram.com', 'www.instagram.com', 'm.instagram.com'],
+      name: 'Instagram',
+      icon: 'instagram',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=com.instagram.android',
+        ios: 'https://apps.apple.com/app/instagram/id389801252'
+      },
+      appUrl: (webUrl) => {
+        const [handle] = getPathSegments(webUrl);
+        return handle ? `instagram://user?username=${encodeURIComponent(handle)}` : '';
+      }
+    },
+    linkedin: {
+      hosts: ['linkedin.com', 'www.linkedin.com'],
+      name: 'LinkedIn',
+      icon: 'linkedin',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=com.linkedin.android',
+        ios: 'https://apps.apple.com/app/linkedin/id288429040'
+      },
+      appUrl: (webUrl) => {
+        const [section, handle] = getPathSegments(webUrl);
+        return section === 'in' && handle ? `linkedin://in/${encodeURIComponent(handle)}` : '';
+      }
+    },
+    twitter: {
+      hosts: ['x.com', 'www.x.com', 'twitter.com', 'www.twitter.com', 'mobile.twitter.com'],
+      name: 'X',
+      icon: 'x-twitter',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=com.twitter.android',
+        ios: 'https://apps.apple.com/app/x/id333903271'
+      },
+      appUrl: (webUrl) => {
+        const [handle] = getPathSegments(webUrl);
+        return handle ? `twitter://user?screen_name=${encodeURIComponent(handle)}` : '';
+      }
+    },
+    whatsapp: {
+      hosts: ['wa.me', 'api.whatsapp.com', 'chat.whatsapp.com'],
+      name: 'WhatsApp',
+      icon: 'whatsapp',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=com.whatsapp',
+        ios: 'https://apps.apple.com/app/whatsapp-messenger/id310633997'
+      },
+      appUrl: (webUrl) => {
+        const [phone] = getPathSegments(webUrl);
+        const digits = (phone || '').replace(/\D/g, '');
+        return digits ? `whatsapp://send?phone=${digits}` : '';
+      }
+    },
+    telegram: {
+      hosts: ['t.me', 'telegram.me'],
+      name: 'Telegram',
+      icon: 'telegram',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=org.telegram.messenger',
+        ios: 'https://apps.apple.com/app/telegram-messenger/id686449807'
+      },
+      appUrl: (webUrl) => {
+        const [handle] = getPathSegments(webUrl);
+        return handle ? `tg://resolve?domain=${encodeURIComponent(handle)}` : '';
+      }
+    },
+    youtube: {
+      hosts: ['youtube.com', 'www.youtube.com', 'm.youtube.com', 'youtu.be'],
+      name: 'YouTube',
+      icon: 'youtube',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=com.google.android.youtube',
+        ios: 'https://apps.apple.com/app/youtube/id544007664'
+      }
+    },
+    tiktok: {
+      hosts: ['tiktok.com', 'www.tiktok.com'],
+      name: 'TikTok',
+      icon: 'tiktok',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=com.zhiliaoapp.musically',
+        ios: 'https://apps.apple.com/app/tiktok/id835599320'
+      }
+    },
+    snapchat: {
+      hosts: ['snapchat.com', 'www.snapchat.com'],
+      name: 'Snapchat',
+      icon: 'snapchat',
+      stores: {
+        android: 'https://play.google.com/store/apps/details?id=com.snapchat.android',
+        ios: 'https://apps.apple.com/app/snapchat/id447188370'
+      }
+    },
     email: { hosts: [] }
   };
 
@@ -184,8 +292,12 @@
     const name = link?.getAttribute?.('data-name') || '';
     const href = link?.getAttribute?.('href') || '';
 
-    const subject = 'Contact from Digital Business Card';
-    const body = `Hello ${name || 'there'},\n\n`;
+    const subject = window.CardI18n.t('email.subject');
+    const greeting = name
+      ? window.CardI18n.t('email.body', { name })
+      : window.CardI18n.t('email.bodyNoName');
+    // Notes the flyer / campaign link the visitor came from (launchActions.js)
+    const body = window.LaunchActions ? window.LaunchActions.withCampaign(greeting) : greeting;
     const mailtoUrl = buildMailtoUrl({ to: email, subject, body });
 
     if (!email) {
@@ -214,6 +326,194 @@
     navigateSameTab(mailtoUrl);
   };
 
+  /**
+   * Opt-in app fallback (mobile only)
+   *
+   * Enabled per link by a `data-app-fallback` attribute on the link or any ancestor
+   * (cardRenderer.js sets it on the footer when card.json has `"appFallback": true`).
+   * When enabled, a mobile social click tries the platform's documented app scheme
+   * and watches whether the app took over. If the page is still visible after
+   * APP_FALLBACK_DELAY, the #app-download-modal offers the store listing or the web profile.
+   *
+   * Detection signals:
+   * - `document.hidden` / `visibilitychange` / `pagehide`: the app opened (definitive)
+   * - `blur`: a system "Open in app?" prompt may be showing; re-check once after
+   *   APP_FALLBACK_SAFETY_NET before deciding
+   */
+  const APP_FALLBACK_DELAY = 1000;
+  const APP_FALLBACK_SAFETY_NET = 500;
+
+  const isAppFallbackEnabled = (link) => {
+    const scope = link?.closest?.('[data-app-fallback]');
+    if (!scope) return false;
+    return scope.getAttribute('data-app-fallback') !== 'off';
+  };
+
+  /** Play Store URL on Android, App Store URL on iOS, '' elsewhere. */
+  const getAppStoreUrl = (platform) => {
+    const stores = PLATFORM_RULES[platform]?.stores;
+    if (!stores) return '';
+    if (isAndroid()) return stores.android || '';
+    if (isIOS()) return stores.ios || '';
+    return '';
+  };
+
+  const getAppUrl = (platform, webUrl) => {
+    const rule = PLATFORM_RULES[platform];
+    if (!rule || typeof rule.appUrl !== 'function') return '';
+    try {
+      return rule.appUrl(webUrl) || '';
+    } catch {
+      return '';
+    }
+  };
+
+  const appModal = {
+    el: null,
+    initialized: false
+  };
+
+  /**
+   * Bind modal controls once, on first use (close button, overlay, Escape and the
+   * focus trap are ModalManager's).
+   */
+  const initAppDownloadModal = () => {
+    if (appModal.initialized) return Boolean(appModal.el);
+    appModal.initialized = true;
+    appModal.el = window.ModalManager ? document.getElementById('app-download-modal') : null;
+    if (!appModal.el) return false;
+
+    // Store / web buttons follow the same navigation rules as every other external link.
+    [['app-download-store-btn', 'store'], ['app-download-web-btn', 'web']].forEach(([id, choice]) => {
+      document.getElementById(id)?.addEventListener('click', (e) => {
+        const href = e.currentTarget.getAttribute('href') || '';
+        if (!href || href === '#') return;
+        e.preventDefault();
+        closeAppDownloadModal({ value: choice, restoreFocus: false });
+        resolveAndOpenExternalUrl(href);
+      });
+    });
+
+    return true;
+  };
+
+  /**
+   * Show the app download modal for a platform.
+   * @param {string} platform - Key of PLATFORM_RULES
+   * @param {string} webUrl - HTTPS profile URL for "Open in Browser"
+   * @returns {Promise<'store'|'web'|undefined>} The visitor's choice once the modal
+   *   closes (undefined when dismissed)
+   */
+  const showAppDownloadModal = (platform, webUrl) => {
+    if (!initAppDownloadModal()) return Promise.resolve(undefined);
+
+    const rule = PLATFORM_RULES[platform] || {};
+    const appName = rule.name || window.CardI18n.t('app.fallbackName');
+    const storeUrl = getAppStoreUrl(platform);
+
+    const icon = document.getElementById('app-download-icon');
+    if (icon && window.CardIcons) window.CardIcons.setIcon(icon, rule.icon || 'mobile-screen-button');
+
+    const title = document.getElementById('app-download-modal-title');
+    if (title) title.textContent = window.CardI18n.t('app.titleNamed', { app: appName });
+
+    const message = document.getElementById('app-download-message');
+    if (message) {
+      message.textContent = window.CardI18n.t('app.messageNamed', { app: appName });
+    }
+
+    const storeBtn = document.getElementById('app-download-store-btn');
+    if (storeBtn) {
+      storeBtn.hidden = !storeUrl;
+      storeBtn.setAttribute('href', storeUrl || '#');
+      const storeIcon = document.getElementById('app-download-store-icon');
+      const storeText = document.getElementById('app-download-store-text');
+      if (storeIcon && window.CardIcons) window.CardIcons.setIcon(storeIcon, isIOS() ? 'app-store-ios' : 'google-play');
+      if (storeText) {
+        storeText.textContent = isIOS()
+          ? window.CardI18n.t('app.appStore')
+          : window.CardI18n.t('app.googlePlay');
+      }
+    }
+
+    const webBtn = document.getElementById('app-download-web-btn');
+    if (webBtn) webBtn.setAttribute('href', webUrl);
+
+    return window.ModalManager.open(appModal.el, {
+      initialFocus: () => appModal.el.querySelector('.app-download-modal-close')
+    });
+  };
+
+  /**
+   * Close the app download modal.
+   * @param {{value?: string, restoreFocus?: boolean}} [options] - value: what
+   *   showAppDownloadModal() resolves with
+   */
+  const closeAppDownloadModal = ({ value, restoreFocus = true } = {}) => {
+    if (!appModal.el) return;
+    window.ModalManager.close(appModal.el, value, { restoreFocus });
+  };
+
+  /**
+   * Try the app scheme; show the download modal if the app didn't take over.
+   * @param {string} appUrl - Documented app scheme URL
+   * @param {string} webUrl - HTTPS profile URL
+   * @param {string} platform - Key of PLATFORM_RULES
+   */
+  const openWithFallback = (appUrl, webUrl, platform) => {
+    let didHide = false;
+    let didBlur = false;
+    let fallbackTimer = null;
+
+    const onHide = () => {
+      didHide = true;
+      cleanup();
+    };
+    const onVisibilityChange = () => {
+      if (document.hidden) onHide();
+    };
+    const onBlur = () => {
+      didBlur = true;
+    };
+
+    function cleanup() {
+      window.clearTimeout(fallbackTimer);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('pagehide', onHide);
+      window.removeEventListener('blur', onBlur);
+    }
+
+    const decide = () => {
+      cleanup();
+      const appActuallyOpened = didHide || document.hidden;
+      if (!appActuallyOpened) showAppDownloadModal(platform, webUrl);
+    };
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('pagehide', onHide);
+    window.addEventListener('blur', onBlur);
+
+    fallbackTimer = window.setTimeout(() => {
+      // A blur without hide usually means a system prompt is still up; give it a moment.
+      if (didBlur && !didHide) {
+        fallbackTimer = window.setTimeout(decide, APP_FALLBACK_SAFETY_NET);
+        return;
+      }
+      decide();
+    }, APP_FALLBACK_DELAY);
+
+    window.location.href = appUrl;
+  };
+
+  /** Report contact / social clicks to the analytics module (when loaded). */
+  const trackAction = (platform) => {
+    const analytics = window.CardAnalytics;
+    if (!analytics) return;
+    if (platform === 'email') analytics.track('email_clicked');
+    else if (platform === 'whatsapp') analytics.track('whatsapp_clicked');
+    else analytics.track('social_clicked', { platform });
+  };
+
   /**
    * Unified click handler with clear separation:
    * - Social actions: .social-link
@@ -225,16 +525,25 @@
     // Don't hijack copy-to-clipboard clicks.
     if (e.target?.closest?.('.copy-icon')) return;
 
+    // The WhatsApp contact row is a plain link: count it, leave navigation alone.
+    if (e.target?.closest?.('[data-card-field="whatsapp"]')) {
+      trackAction('whatsapp');
+      return;
+    }
+
     const link = e.target?.closest?.('.social-link, .email-link');
     if (!link) return;
 
     const platform = getPlatform(link);
     if (!platform) return;
 
+    trackAction(link.classList.contains('email-link') ? 'email' : platform);
+
     /**
      * IMPORTANT BEHAVIOR RULES:
      * - Social links on MOBILE: do NOT preventDefault; allow the browser/OS to resolve
      *   app links and app choosers from the raw HTTPS click (best for multiple app variants).
+     *   Exception: links inside a `data-app-fallback` scope use openWithFallback().
      * - Social links on DESKTOP: fully intercept and open ONLY in a new tab.
      * - Email: intercept to generate a correctly encoded mailto: with subject/body (mobile),
      *   while preserving desktop behavior (web compose in new tab if provided).
@@ -244,6 +553,19 @@
     const isSocial = link.classList.contains('social-link') && !isEmail;
 
     if (isSocial && !isDesktop()) {
+      // Opt-in: try the app scheme and offer the download modal if it doesn't open.
+      if (isAppFallbackEnabled(link) && !isInAppBrowser()) {
+        const webUrl = normalizeHttpsUrl(link.getAttribute('href') || '');
+        const appUrl = getAppUrl(platform, webUrl);
+        if (appUrl && getAppStoreUrl(platform)) {
+          e.preventDefault();
+          e.stopPropagation();
+          if (typeof e.stopImmediatePropagation === 'function') e.stopImmediatePropagation();
+          openWithFallback(appUrl, webUrl, platform);
+          return;
+        }
+      }
+
       // MOBILE (and mobile webviews): Let the default HTTPS navigation happen.
       // This is the most OS-friendly path for universal/app links and app choosers.
       //
@@ -289,7 +611,11 @@
     buildMailtoUrl,
     resolveAndOpenExternalUrl,
     handleSocialAction,
-    handleEmailAction
+    handleEmailAction,
+    getAppStoreUrl,
+    openWithFallback,
+    showAppDownloadModal,
+    closeAppDownloadModal
   };
 })();
 
@@ -0,0 +1,262 @@
+/**
+ * Card Theme
+ * Turns the profile's colours into the CSS custom properties main.css is built on
+ * (the `--color-*` tokens), with a light and a dark palette.
+ *
+ * card.json:
+ * - `theme.preset`: named palette, see PRESETS (default "sunny")
+ * - `theme.colors` / `theme.dark`: individual tokens for the light / dark palette,
+ *   e.g. `{ "accent": "#e0a100", "surface": "#fffaf0" }`, for card-specific overrides
+ * - `theme.mode`: "auto" follows `prefers-color-scheme`, "light" or "dark" forces one
+ *
+ * Text colours on the accent, and the focus ring, follow the accent unless set.
+ * The theme-color meta tags and the manifest colours (cardRenderer.js) come from
+ * the same palette, so JS never hard-codes colours. `app.themeColor` /
+ * `app.backgroundColor` are outputs of it (getAppColors), never read from card.json.
+ *
+ * The last theme of each card is remembered, so a returning visitor doesn't see the
+ * default palette while card.json loads.
+ */
+
+(() => {
+  const STYLE_ID = 'card-theme';
+  const STORAGE_KEY = 'card-theme';
+  const DEFAULT_PRESET = 'sunny';
+  const MODES = ['auto', 'light', 'dark'];
+
+  /** Palette keys and the custom properties they set (defaults live in main.css). */
+  const TOKENS = {
+    page: '--color-page',
+    accent: '--color-accent',
+    onAccent: '--color-on-accent',
+    onAccentMuted: '--color-on-accent-muted',
+    header: '--color-header',
+    surface: '--color-surface',
+    surfaceMuted: '--color-surface-muted',
+    text: '--color-text',
+    textMuted: '--color-text-muted',
+    button: '--color-button',
+    onButton: '--color-on-button',
+    error: '--color-error',
+    focusRing: '--color-focus-ring',
+    focusRingStrong: '--color-focus-ring-strong'
+  };
+
+  /** Card surfaces, text and buttons shared by every preset. */
+  const NEUTRAL = {
+    light: {
+      header: '#000000',
+      surface: '#ffffff',
+      surfaceMuted: '#f5f5f5',
+      text: '#000000',
+      textMuted: '#666666',
+      button: '#000000',
+      onButton: '#ffffff',
+      error: '#b3261e'
+    },
+    dark: {
+      header: '#000000',
+      surface: '#1e1e1e',
+      surfaceMuted: '#2c2c2c',
+      text: '#f5f5f5',
+      textMuted: '#b3b3b3',
+      button: '#f5f5f5',
+      onButton: '#000000',
+      error: '#f2b8b5'
+    }
+  };
+
+  /** Named palettes. The dark palette keeps the light accent unless it sets its own. */
+  const PRESETS = {
+    sunny: {
+      label: 'Sunny (yellow on pink)',
+      light: { page: '#f7a9b8', accent: '#F4C542' },
+      dark: { page: '#1f1a1c' }
+    },
+    ocean: {
+      label: 'Ocean (blue)',
+      light: { page: '#bfe3f0', accent: '#5bb8de' },
+      dark: { page: '#0f1c22' }
+    },
+    forest: {
+      label: 'Forest (green)',
+      light: { page: '#d5e8c8', accent: '#8cc084' },
+      dark: { page: '#141c12' }
+    },
+    mono: {
+      label: 'Mono (black and white)',
+      light: { page: '#d9d9d9', accent: '#e6e6e6' },
+      dark: { page: '#121212', accent: '#3a3a3a' }
+    }
+  };
+
+  // Colour values end up in a stylesheet: no ";", "{" or quotes.
+  const SAFE_COLOR = /^[#\w\s(),.%/-]+$/;
+
+  /** Known palette keys with usable colour values. */
+  const pickColors = (colors) => Object.fromEntries(
+    Object.entries(colors || {}).filter(([key, value]) =>
+      Object.prototype.hasOwnProperty.call(TOKENS, key) && typeof value === 'string' && SAFE_COLOR.test(value.trim()))
+      .map(([key, value]) => [key, value.trim()])
+  );
+
+  /** [r, g, b] from "#rgb" / "#rrggbb", or null for other CSS colours. */
+  const parseHex = (color) => {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || '');
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  };
+
+  /** WCAG relative luminance (0 black … 1 white). */
+  const luminance = (rgb) => {
+    const [r, g, b] = rgb.map((channel) => {
+      const c = channel / 255;
+      return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  };
+
+  /** Fill the tokens that derive from the accent: text on it and the focus ring. */
+  const complete = (palette) => {
+    const rgb = parseHex(palette.accent);
+    const result = { ...palette };
+    if (!rgb) return result;
+
+    // Black or white, whichever contrasts more with the accent
+    const darkText = luminance(rgb) > 0.179;
+    if (!result.onAccent) result.onAccent = darkText ? '#000000' : '#ffffff';
+    if (!result.onAccentMuted) result.onAccentMuted = darkText ? '#666666' : 'rgba(255, 255, 255, 0.8)';
+    if (!result.focusRing) result.focusRing = `rgba(${rgb.join(', ')}, 0.55)`;
+    if (!result.focusRingStrong) result.focusRingStrong = `rgba(${rgb.join(', ')}, 0.75)`;
+    return result;
+  };
+
+  /**
+   * Light and dark palettes for a profile
+   * @param {object} profile
+   * @returns {{preset: string, mode: string, light: object, dark: object}}
+   */
+  const resolve = (profile) => {
+    const theme = profile?.theme || {};
+    const preset = PRESETS[theme.preset] ? theme.preset : DEFAULT_PRESET;
+    const overrides = pickColors(theme.colors);
+
+    const light = complete({ ...NEUTRAL.light, ...PRESETS[preset].light, ...overrides });
+    const dark = complete({
+      ...NEUTRAL.dark,
+      accent: light.accent,
+      ...PRESETS[preset].dark,
+      ...(overrides.accent ? { accent: overrides.accent } : {}),
+      ...pickColors(theme.dark)
+    });
+
+    return {
+      preset,
+      mode: MODES.includes(theme.mode) ? theme.mode : 'auto',
+      light,
+      dark
+    };
+  };
+
+  /** `app` with the theme's accent and page colour (manifest, QR "themeColor" keyword). */
+  const getAppColors = (profile) => {
+    const { light } = resolve(profile);
+    return { ...(profile?.app || {}), themeColor: light.accent, backgroundColor: light.page };
+  };
+
+  const toRule = (palette, scheme) => {
+    const declarations = Object.entries(TOKENS)
+      .filter(([key]) => palette[key])
+      .map(([key, property]) => `${property}: ${palette[key]};`);
+    return `:root { color-scheme: ${scheme}; ${declarations.join(' ')} }`;
+  };
+
+  const toCSS = ({ mode, light, dark }) => {
+    if (mode === 'light') return toRule(light, 'light');
+    if (mode === 'dark') return toRule(dark, 'dark');
+    return `${toRule(light, 'light')}\n@media (prefers-color-scheme: dark) { ${toRule(dark, 'dark')} }`;
+  };
+
+  /** One theme-color meta per colour scheme (or a single one when the mode is forced). */
+  const syncThemeColorMeta = ({ mode, light, dark }) => {
+    document.querySelectorAll('meta[name="theme-color"]').forEach((meta) => meta.remove());
+
+    const variants = mode === 'auto'
+      ? [[light.accent, '(prefers-color-scheme: light)'], [dark.accent, '(prefers-color-scheme: dark)']]
+      : [[(mode === 'dark' ? dark : light).accent, '']];
+
+    variants.forEach(([color, media]) => {
+      const meta = document.createElement('meta');
+      meta.setAttribute('name', 'theme-color');
+      meta.setAttribute('content', color);
+      if (media) meta.setAttribute('media', media);
+      document.head.appendChild(meta);
+    });
+  };
+
+  const render = (theme) => {
+    let style = document.getElementById(STYLE_ID);
+    if (!style) {
+      style = document.createElement('style');
+      style.id = STYLE_ID;
+      // After main.css, so the card's palette wins over the default tokens
+      document.head.appendChild(style);
+    }
+    style.textContent = toCSS(theme);
+    document.documentElement.setAttribute('data-theme', theme.preset);
+    syncThemeColorMeta(theme);
+  };
+
+  // Editor previews (?preview) must not overwrite the published card's remembered theme.
+  const isPreview = () => new URLSearchParams(window.location.search).has('preview');
+
+  const getStorageKey = () => {
+    const cardPath = window.CardProfile ? window.CardProfile.getCardPath() : '/';
+    return `${STORAGE_KEY}:${cardPath}`;
+  };
+
+  const remember = (theme) => {
+    if (isPreview()) return;
+    try {
+      localStorage.setItem(getStorageKey(), JSON.stringify(theme));
+    } catch {
+      // Storage unavailable (private mode): the theme is applied on every load instead.
+    }
+  };
+
+  const restore = () => {
+    if (isPreview()) return;
+    try {
+      const theme = JSON.parse(localStorage.getItem(getStorageKey()) || 'null');
+      if (theme && theme.light && theme.dark) render(theme);
+    } catch {
+      // Ignore a corrupt entry; the profile's theme replaces it shortly.
+    }
+  };
+
+  /**
+   * Apply a profile's theme to the page
+   * @param {object|null} profile
+   */
+  const apply = (profile) => {
+    if (!profile) return;
+    const theme = resolve(profile);
+    render(theme);
+    remember(theme);
+  };
+
+  // Only the card page follows the card's palette (the editor keeps its own styles).
+  if (document.getElementById('app-card') && window.CardProfile) {
+    restore();
+    window.CardProfile.load().then(apply);
+  }
+
+  window.CardTheme = {
+    PRESETS,
+    DEFAULT_PRESET,
+    resolve,
+    getAppColors,
+    apply
+  };
+})();
@@ -0,0 +1,248 @@
+/**
+ * vCard Builder
+ * Produces VCARD 3.0 (RFC 2426) and 4.0 (RFC 6350) documents from structured data.
+ *
+ * Features:
+ * - Escaping of backslashes, commas, semicolons and newlines in TEXT values
+ * - Structured values (N, ADR, ORG) escaped per component
+ * - 75-octet line folding that never splits a UTF-8 character
+ * - Multiple TEL / EMAIL / URL / ADR entries with TYPE parameters
+ * - Social profiles (X-SOCIALPROFILE + labelled URL for Android) and IMPP
+ * - Embedded base64 PHOTO
+ *
+ * Contact shape accepted by `build()`:
+ * {
+ *   name: { family, given, additional, prefix, suffix },
+ *   formattedName, organization, title, note,
+ *   phones:    [{ value, types: ['cell', 'voice'] }],
+ *   emails:    [{ value, types: ['work'] }],
+ *   urls:      [{ value, types: ['work'] }],
+ *   addresses: [{ street, city, region, postalCode, country, types: ['work'] }],
+ *   socialProfiles: [{ type: 'instagram', url, label }],
+ *   impp:      [{ service: 'WhatsApp', uri }],
+ *   photo:     { mediaType: 'image/jpeg', data: '<base64>' }
+ * }
+ */
+
+(() => {
+  const CRLF = '\r\n';
+  const MAX_LINE_OCTETS = 75;
+  const SUPPORTED_VERSIONS = ['3.0', '4.0'];
+  const PRODID = '-//Digital Business Card//EN';
+
+  const encoder = new TextEncoder();
+  const octetLength = (text) => encoder.encode(text).length;
+
+  /** Escape a TEXT value (RFC 6350 §3.4, RFC 2426 §4). */
+  const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r\n|\r|\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+
+  /** Structured value: components separated by ';', list items by ','. */
+  const escapeStructured = (components) => components
+    .map((part) => (Array.isArray(part) ? part.map(escapeText).join(',') : escapeText(part)))
+    .join(';');
+
+  /**
+   * Fold a content line to at most 75 octets per physical line.
+   * Continuation lines start with a single space, which counts towards the limit.
+   * Iterating by code point keeps multi-byte UTF-8 sequences intact.
+   * @param {string} line
+   * @returns {string}
+   */
+  const foldLine = (line) => {
+    if (octetLength(line) <= MAX_LINE_OCTETS) return line;
+
+    const lines = [];
+    let current = '';
+    let octets = 0;
+
+    for (const char of line) {
+      const size = octetLength(char);
+      if (octets + size > MAX_LINE_OCTETS) {
+        lines.push(current);
+        current = ' ';
+        octets = 1;
+      }
+      current += char;
+      octets += size;
+    }
+    lines.push(current);
+
+    return lines.join(CRLF);
+  };
+
+  /** TYPE parameter: upper-case list in 3.0, quoted lower-case list in 4.0. */
+  const typeParam = (types, version) => {
+    const list = (types || []).filter(Boolean);
+    if (!list.length) return [];
+    if (version === '4.0') return [`TYPE="${list.map((t) => t.toLowerCase()).join(',')}"`];
+    return [`TYPE=${list.map((t) => t.toUpperCase()).join(',')}`];
+  };
+
+  /** Parameter values containing ':', ';' or ',' must be quoted. */
+  const paramValue = (value) => {
+    const clean = String(value ?? '').replace(/"/g, '');
+    return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+  };
+
+  const toTelUri = (value) => `tel:${String(value || '').replace(/[^\d+]/g, '')}`;
+
+  /**
+   * Build a vCard document.
+   * @param {object} contact - See module header for the accepted shape
+   * @param {{version?: '3.0'|'4.0'}} [options]
+   * @returns {string} vCard text with CRLF line endings
+   */
+  const build = (contact, { version = '3.0' } = {}) => {
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+      throw new Error(`Unsupported vCard version: ${version}`);
+    }
+
+    const data = contact || {};
+    const name = data.name || {};
+    const formattedName = data.formattedName ||
+      [name.prefix, name.given, name.additional, name.family, name.suffix].filter(Boolean).join(' ');
+    const lines = [];
+    let groupIndex = 0;
+
+    const add = (property, params, value) => {
+      const head = [property, ...params].join(';');
+      lines.push(foldLine(`${head}:${value}`));
+    };
+
+    add('BEGIN', [], 'VCARD');
+    add('VERSION', [], version);
+    add('PRODID', [], PRODID);
+    if (version === '4.0') add('KIND', [], 'individual');
+
+    add('N', [], escapeStructured([name.family, name.given, name.additional, name.prefix, name.suffix]));
+    add('FN', [], escapeText(formattedName));
+
+    if (data.organization) add('ORG', [], escapeStructured([data.organization]));
+    if (data.title) add('TITLE', [], escapeText(data.title));
+
+    (data.phones || []).forEach((phone) => {
+      if (!phone?.value) return;
+      if (version === '4.0') {
+        add('TEL', ['VALUE=uri', ...typeParam(phone.types, version)], toTelUri(phone.value));
+      } else {
+        add('TEL', typeParam(phone.types, version), escapeText(phone.value));
+      }
+    });
+
+    (data.emails || []).forEach((email) => {
+      if (!email?.value) return;
+      const types = version === '4.0' ? email.types : ['internet', ...(email.types || [])];
+      add('EMAIL', typeParam(types, version), escapeText(email.value));
+    });
+
+    (data.urls || []).forEach((url) => {
+      if (!url?.value) return;
+      add('URL', typeParam(url.types, version), url.value);
+    });
+
+    (data.addresses || []).forEach((adr) => {
+      if (!adr) return;
+      const value = escapeStructured(['', '', adr.street, adr.city, adr.region, adr.postalCode, adr.country]);
+      add('ADR', typeParam(adr.types, version), value);
+    });
+
+    (data.socialProfiles || []).forEach((profile) => {
+      if (!profile?.url) return;
+      // iOS / macOS Contacts read X-SOCIALPROFILE into "Social Profiles".
+      add('X-SOCIALPROFILE', profile.type ? [`TYPE=${paramValue(profile.type)}`] : [], profile.url);
+      // Android ignores X-SOCIALPROFILE, so also add a labelled URL.
+      groupIndex += 1;
+      const group = `item${groupIndex}`;
+      add(`${group}.URL`, [], profile.url);
+      add(`${group}.X-ABLabel`, [], escapeText(profile.label || profile.type || 'Profile'));
+    });
+
+    (data.impp || []).forEach((entry) => {
+      if (!entry?.uri) return;
+      add('IMPP', entry.service ? [`X-SERVICE-TYPE=${paramValue(entry.service)}`] : [], entry.uri);
+    });
+
+    if (data.photo?.data) {
+      const mediaType = data.photo.mediaType || 'image/jpeg';
+      if (version === '4.0') {
+        add('PHOTO', [], `data:${mediaType};base64,${data.photo.data}`);
+      } else {
+        const format = mediaType.split('/')[1].toUpperCase().replace('JPG', 'JPEG');
+        add('PHOTO', ['ENCODING=b', `TYPE=${format}`], data.photo.data);
+      }
+    }
+
+    if (data.note) add('NOTE', [], escapeText(data.note));
+    add('END', [], 'VCARD');
+
+    return lines.join(CRLF) + CRLF;
+  };
+
+  /**
+   * Map the card profile (card.json) to the builder's contact shape.
+   * @param {object} profile - Normalized profile from CardProfile.load()
+   * @param {{photo?: {mediaType: string, data: string}|null}} [extras]
+   * @returns {object}
+   */
+  const fromProfile = (profile, { photo = null } = {}) => {
+    const name = profile.name || {};
+    const asList = (value) => (Array.isArray(value) ? value : value ? [value] : []);
+    const messaging = ['whatsapp', 'telegram'];
+
+    const phones = [];
+    if (profile.phone) {
+      phones.push({ value: profile.phone.display || profile.phone.number, types: ['cell', 'voice'] });
+    }
+    asList(profile.phones).forEach((p) => phones.push({ value: p.value || p.display || p.number, types: p.types }));
+
+    const emails = asList(profile.email).map((value) => ({ value, types: ['work'] }));
+    asList(profile.emails).forEach((e) => emails.push({ value: e.value, types: e.types }));
+
+    const urls = asList(profile.website).map((value) => ({ value, types: ['work'] }));
+    asList(profile.urls).forEach((u) => urls.push({ value: u.value, types: u.types }));
+
+    const impp = [];
+    const whatsappUrl = window.CardProfile ? window.CardProfile.getWhatsAppUrl(profile) : '';
+    if (whatsappUrl) impp.push({ service: 'WhatsApp', uri: whatsappUrl });
+
+    const social = profile.social || [];
+    social
+      .filter((s) => messaging.includes(s.platform))
+      .forEach((s) => impp.push({ service: s.label || s.platform, uri: s.url }));
+
+    return {
+      name: {
+        family: name.family,
+        given: name.given,
+        additional: name.additional,
+        prefix: name.prefix,
+        suffix: name.suffix
+      },
+      formattedName: name.full,
+      organization: profile.organization,
+      title: profile.title,
+      note: profile.vcard?.note ?? 'Digital business card contact',
+      phones,
+      emails,
+      urls,
+      addresses: profile.address ? [{ ...profile.address, types: ['work'] }] : [],
+      socialProfiles: social
+        .filter((s) => !messaging.includes(s.platform))
+        .map((s) => ({ type: s.platform, url: s.url, label: s.label })),
+      impp,
+      photo
+    };
+  };
+
+  window.VCardBuilder = {
+    SUPPORTED_VERSIONS,
+    build,
+    fromProfile,
+    escapeText,
+    foldLine
+  };
+})();
@@ -6,28 +6,22 @@
  * - On mobile, opening/downloading a .vcf typically prompts "Add to Contacts".
  * - On desktop, it downloads the file for the user to open/import.
  * - Uses the existing non-visual aria-live region (#a11y-status) for announcements.
+ * - Contact details come from the shared card profile (card.json) and are encoded by
+ *   VCardBuilder (3.0 or 4.0, with embedded photo). When the profile cannot be loaded,
+ *   the card is built from the details shown on the page instead.
+ * - The instance is exposed as `window.vCardHandler` so other components (e.g. the
+ *   share action) can reuse the generated card via createVCardFile().
+ * - The card is written in the visitor's language (CardI18n + the profile's
+ *   `translations`); the file name stays in the base language.
  */
 
 class VCardHandler {
   constructor() {
     this.addToContactsBtn = document.getElementById('add-to-contacts');
     this.a11yStatusEl = document.getElementById('a11y-status');
-    // Absolute path avoids issues when the page is opened from a nested URL.
-    this.vcfPath = '/assets/emma-wilson.vcf';
-    // Fallback ensures the feature works even if the server serves .vcf incorrectly.
-    this.vcfFallback = [
-      'BEGIN:VCARD',
-      'VERSION:3.0',
-      'N:Wilson;Emma;;;',
-      'FN:Emma Wilson',
-      'TITLE:Photographer',
-      'TEL;TYPE=CELL,VOICE:+1-555-123-4567',
-      'EMAIL;TYPE=INTERNET:ewilson@gmail.com',
-      'URL:https://www.emmawilson.com',
-      'ADR;TYPE=WORK:;;123 Main Street;New York;NY;10001;USA',
-      'NOTE:Digital business card contact',
-      'END:VCARD'
-    ].join('\r\n') + '\r\n';
+    // Longest side of the embedded PHOTO; keeps the .vcf small enough for every importer.
+    this.photoMaxSize = 400;
+    this.photoPromise = null;
     this.init();
   }
 
@@ -35,6 +29,9 @@ class VCardHandler {
     if (!this.addToContactsBtn) return;
     this.addToContactsBtn.addEventListener('click', (e) => this.handleAddToContacts(e));
     this.addToContactsBtn.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    // Warm the photo so the download isn't delayed by image decoding on first tap.
+    this.getProfile().then((profile) => profile && this.getPhoto(profile));
   }
 
   handleKeydown(e) {
@@ -52,51 +49,131 @@ class VCardHandler {
   }
 
   /**
-   * Fetch the vCard (validate content), then open it as a Blob URL.
+   * Build the vCard from the profile (see getVCardText), then open it as a Blob URL.
    * This avoids "empty file" issues caused by dev servers / MIME quirks / caching layers.
    */
   async openVCard() {
-    this.announce('Opening contact card.');
+    this.announce(window.CardI18n.t('vcard.opening'));
+    if (window.CardAnalytics) window.CardAnalytics.track('vcard_saved');
 
-    const vcardText = await this.getVCardText();
+    const profile = await this.getProfile();
+    const vcardText = await this.getVCardText(this.localize(profile));
     const blob = new Blob([vcardText], { type: 'text/vcard;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
-
-    // iOS often ignores `download` and opens the file (good: it triggers import UI).
-    // Desktop typically downloads it.
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'Emma-Wilson.vcf';
-    link.target = '_blank';
-    link.rel = 'noopener';
-    link.style.display = 'none';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-
-    window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    // iOS opens the file in a new tab, which triggers its import UI; desktop downloads it.
+    window.CardProfile.downloadBlob(blob, `${this.getFileBaseName(profile)}.vcf`, { newTab: true });
   }
 
-  async getVCardText() {
-    try {
-      const res = await fetch(this.vcfPath, { cache: 'no-store' });
-      const text = await res.text();
-
-      // Basic validation: ensures we didn't get an HTML error page or empty response.
-      const trimmed = (text || '').trim();
-      const looksLikeVCard =
-        res.ok &&
-        trimmed.includes('BEGIN:VCARD') &&
-        trimmed.includes('END:VCARD') &&
-        trimmed.length > 20;
-
-      if (looksLikeVCard) return text;
-    } catch (err) {
-      // Swallow and fallback below
-      console.warn('Failed to fetch vCard, using fallback:', err);
-    }
-
-    return this.vcfFallback;
+  /**
+   * The contact card as a File, e.g. for navigator.share({ files }).
+   * @returns {Promise<File>}
+   */
+  async createVCardFile() {
+    const profile = await this.getProfile();
+    const vcardText = await this.getVCardText(this.localize(profile));
+    return new File([vcardText], `${this.getFileBaseName(profile)}.vcf`, { type: 'text/vcard' });
+  }
+
+  async getProfile() {
+    return window.CardProfile ? window.CardProfile.load() : null;
+  }
+
+  /** Profile in the current language (CardI18n), or null without one. */
+  localize(profile) {
+    if (!profile) return null;
+    return window.CardProfile.localize(profile, window.CardI18n.getLanguage());
+  }
+
+  getFileBaseName(profile) {
+    return profile && window.CardProfile ? window.CardProfile.getFileBaseName(profile) : 'Contact';
+  }
+
+  async getVCardText(profile) {
+    if (profile && window.VCardBuilder) return this.buildVCard(profile);
+
+    // Last resort: a card with the details shown on the page.
+    const contact = this.getPageContact();
+    if (window.VCardBuilder) return window.VCardBuilder.build(contact);
+    return `BEGIN:VCARD\r\nVERSION:3.0\r\nN:;;;;\r\nFN:${contact.formattedName}\r\nEND:VCARD\r\n`;
+  }
+
+  /**
+   * Contact details as rendered on the card (name, title, phone, email, website),
+   * in the shape VCardBuilder.build() takes.
+   * @returns {object}
+   */
+  getPageContact() {
+    const text = (selector) => {
+      const el = document.querySelector(selector);
+      return el ? el.textContent.trim() : '';
+    };
+    const visible = (field) => {
+      const link = document.querySelector(`[data-card-field="${field}"]`);
+      const row = link && (link.closest('.contact-item') || link);
+      return link && !row.hidden ? link : null;
+    };
+
+    const phone = visible('whatsapp') ? text('[data-card-field="whatsapp"] .contact-text') : '';
+    const email = visible('email')?.getAttribute('data-email') || '';
+    const website = visible('website')?.getAttribute('href') || '';
+
+    return {
+      formattedName: text('.name') || 'Contact',
+      title: text('.title'),
+      phones: phone ? [{ value: phone, types: ['cell', 'voice'] }] : [],
+      emails: email ? [{ value: email, types: ['work'] }] : [],
+      urls: website ? [{ value: website, types: ['work'] }] : []
+    };
+  }
+
+  /**
+   * Build the vCard from the card profile with VCardBuilder.
+   * The version comes from card.json (`vcard.version`), defaulting to 3.0
+   * which every iOS / Android contacts importer accepts.
+   * @param {object} profile
+   * @returns {Promise<string>}
+   */
+  async buildVCard(profile) {
+    const version = profile.vcard?.version || '3.0';
+    const photo = await this.getPhoto(profile);
+    return window.VCardBuilder.build(window.VCardBuilder.fromProfile(profile, { photo }), { version });
+  }
+
+  /**
+   * Load the profile photo as a downscaled JPEG for the PHOTO property.
+   * Cached after the first call; resolves to null if the image can't be read.
+   * @param {object} profile
+   * @returns {Promise<{mediaType: string, data: string}|null>}
+   */
+  getPhoto(profile) {
+    if (!profile.photo || profile.vcard?.photo === false) return Promise.resolve(null);
+    if (this.photoPromise) return this.photoPromise;
+
+    this.photoPromise = new Promise((resolve) => {
+      const img = new Image();
+      img.onload = () => {
+        try {
+          const scale = Math.min(1, this.photoMaxSize / Math.max(img.naturalWidth, img.naturalHeight));
+          const canvas = document.createElement('canvas');
+          canvas.width = Math.round(img.naturalWidth * scale);
+          canvas.height = Math.round(img.naturalHeight * scale);
+          const ctx = canvas.getContext('2d');
+          // JPEG has no alpha: paint the card background behind transparent areas.
+          ctx.fillStyle = window.CardTheme ? window.CardTheme.getAppColors(profile).backgroundColor : '#ffffff';
+          ctx.fillRect(0, 0, canvas.width, canvas.height);
+          ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+          const dataUrl = canvas.toDataURL('image/jpeg', 0.85);
+          resolve({ mediaType: 'image/jpeg', data: dataUrl.slice(dataUrl.indexOf(',') + 1) });
+        } catch (err) {
+          console.warn('Failed to encode vCard photo:', err);
+          resolve(null);
+        }
+      };
+      img.onerror = () => resolve(null);
+      img.src = profile.photo;
+    });
+
+    return this.photoPromise;
   }
 
   announce(message) {
@@ -109,7 +186,7 @@ class VCardHandler {
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-  new VCardHandler();
+  window.vCardHandler = new VCardHandler();
 });
 
 
@@ -0,0 +1,132 @@
+/**
+ * Zip Writer
+ * Packs files into a .zip Blob in the browser, with no dependencies.
+ *
+ * Entries are stored uncompressed (method 0): the exported files are small and
+ * mostly already compressed (PNG, JPEG), and every unzip tool reads stored entries.
+ * File names are written as UTF-8 (general purpose flag bit 11).
+ */
+
+(() => {
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+  };
+
+  /** MS-DOS date and time fields (2-second resolution, local time). */
+  const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  });
+
+  const toBytes = async (data) => {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    return new TextEncoder().encode(String(data ?? ''));
+  };
+
+  /** Little-endian writer over a fixed-size header buffer. */
+  const header = (size) => {
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    return {
+      bytes,
+      u16(value) {
+        view.setUint16(offset, value, true);
+        offset += 2;
+        return this;
+      },
+      u32(value) {
+        view.setUint32(offset, value >>> 0, true);
+        offset += 4;
+        return this;
+      }
+    };
+  };
+
+  /**
+   * Build a zip archive.
+   * @param {{name: string, data: string|Uint8Array|Blob}[]} files - Paths use "/" separators
+   * @param {{date?: Date}} [options]
+   * @returns {Promise<Blob>} application/zip
+   */
+  const create = async (files, { date = new Date() } = {}) => {
+    const { time, date: day } = dosDateTime(date);
+    const encoder = new TextEncoder();
+    const parts = [];
+    const central = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = await toBytes(file.data);
+      const crc = crc32(data);
+
+      const local = header(30)
+        .u32(0x04034b50) // local file header signature
+        .u16(20) // version needed (2.0)
+        .u16(0x0800) // flags: UTF-8 names
+        .u16(0) // method: stored
+        .u16(time)
+        .u16(day)
+        .u32(crc)
+        .u32(data.length) // compressed size
+        .u32(data.length) // uncompressed size
+        .u16(name.length)
+        .u16(0); // extra field length
+      parts.push(local.bytes, name, data);
+
+      const entry = header(46)
+        .u32(0x02014b50) // central directory signature
+        .u16(20) // version made by
+        .u16(20) // version needed
+        .u16(0x0800)
+        .u16(0)
+        .u16(time)
+        .u16(day)
+        .u32(crc)
+        .u32(data.length)
+        .u32(data.length)
+        .u16(name.length)
+        .u16(0) // extra field length
+        .u16(0) // comment length
+        .u16(0) // disk number
+        .u16(0) // internal attributes
+        .u32(0) // external attributes
+        .u32(offset); // local header offset
+      central.push(entry.bytes, name);
+
+      offset += local.bytes.length + name.length + data.length;
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = header(22)
+      .u32(0x06054b50) // end of central directory signature
+      .u16(0) // this disk
+      .u16(0) // disk with the central directory
+      .u16(files.length)
+      .u16(files.length)
+      .u32(centralSize)
+      .u32(offset)
+      .u16(0); // comment length
+
+    return new Blob([...parts, ...central, end.bytes], { type: 'application/zip' });
+  };
+
+  window.ZipWriter = {
+    create,
+    crc32
+  };
+})();
@@ -1,57 +1,148 @@
 /**
  * Service Worker (PWA)
  * - Enables offline access to the digital business card
- * - Uses network-first strategy for HTML/JS (always fresh)
+ * - Uses network-first strategy for HTML/JS and card.json (always fresh)
  * - Uses stale-while-revalidate for CSS/images (fast + background update)
+ * - Hosted cards (/c/<slug> pages, /cards/<slug>/ profiles and assets) are cached
+ *   per card in their own cache, so each visited card works offline
+ * - The card editor (/edit) is pre-cached so clients can edit and export offline
+ * - Contact details visitors left while offline (contactExchange.js) are sent on
+ *   Background Sync
+ * - Gallery images are cached at the sizes the page reports (PRECACHE_GALLERY)
+ * - Pages that were never cached get offline.html instead of a browser error
  *
  * Notes:
- * - Cache version controls updates - increment to force cache refresh
+ * - What to pre-cache comes from precache-manifest.js (written by
+ *   tools/build-precache-manifest.js with a hash per file). A new manifest makes the
+ *   browser install this worker again; only files whose hash changed are downloaded,
+ *   and SW_UPDATED reports the manifest version
+ * - An update waits until the page sends SKIP_WAITING (scripts/pwa.js), so open
+ *   pages keep the files they started with; an idle page being left only activates
+ *   it when no other window of the card is open
  * - HTML and JS files always fetched fresh from network
  * - CSS and images use stale-while-revalidate for performance
  */
 
+// Kept as is: files update inside this cache from the precache manifest.
 const CACHE_NAME = 'eow-business-card-v2';
-const CACHE_VERSION = 'v2';
-
-// Core assets required for offline use
-const CORE_ASSETS = [
-  '/',
-  '/index.html',
-  '/styles/main.css',
-  '/scripts/copyToClipboard.js',
-  '/scripts/qrCodeHandler.js',
-  '/scripts/vCardHandler.js',
-  '/scripts/pwa.js',
-  '/scripts/socialDeepLinks.js',
-  '/manifest.webmanifest',
-  '/assets/owner.png',
-  '/assets/background.png',
-  '/assets/MYQR.png',
-  '/assets/favicon.svg',
-  '/assets/favicon-128.svg',
-  '/assets/favicon-256.svg',
-  '/assets/favicon-qr.svg',
-  '/assets/pwa-192.svg',
-  '/assets/pwa-512.svg'
-];
+const CARD_PAGE_PATTERN = /^\/c\/[a-z0-9-]+\/?$/i;
+const CARD_PATH_PATTERN = /^\/(?:c|cards)\/([a-z0-9-]+)(?:\/|$)/i;
+const EDITOR_PAGE_PATTERN = /^\/edit\/?$/;
+// Shown for pages that aren't cached while offline (pre-cached from the manifest)
+const OFFLINE_PAGE = '/offline.html';
+
+// Contact exchange outbox, written by scripts/contactExchange.js
+const EXCHANGE_DB = 'card-contact-exchange';
+const EXCHANGE_STORE = 'outbox';
+const EXCHANGE_SYNC_TAG = 'contact-exchange';
+
+// Most gallery files cached per PRECACHE_GALLERY message
+const GALLERY_PRECACHE_LIMIT = 60;
+
+// Precache manifest: { version, files: [{ url, revision }] }
+try {
+  importScripts('/precache-manifest.js');
+} catch (err) {
+  console.warn('No precache manifest (run `node tools/build-precache-manifest.js`):', err);
+}
+const PRECACHE = self.PRECACHE_MANIFEST || { version: 'dev', files: [] };
+// Changed files wait here during install, so open pages keep a consistent set
+const STAGING_CACHE = `${CACHE_NAME}-staging`;
+// Revision of each pre-cached file, stored in CACHE_NAME
+const REVISIONS_KEY = '/__precache-revisions';
+
+/**
+ * Cache for a request path: "<CACHE_NAME>-card-<slug>" for hosted cards,
+ * CACHE_NAME for everything else.
+ */
+function getCacheName(pathname) {
+  const match = CARD_PATH_PATTERN.exec(pathname);
+  return match ? `${CACHE_NAME}-card-${match[1].toLowerCase()}` : CACHE_NAME;
+}
+
+/** Revisions of the files currently pre-cached ({ url: revision }). */
+async function readRevisions() {
+  try {
+    const cache = await caches.open(CACHE_NAME);
+    const res = await cache.match(REVISIONS_KEY);
+    return res ? await res.json() : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Download the manifest files that are new or changed into the staging cache.
+ * A file that fails is skipped; it stays unrecorded, so the next update retries it.
+ */
+async function stagePrecache() {
+  const revisions = await readRevisions();
+  const cache = await caches.open(CACHE_NAME);
+  // Start clean: an interrupted install may have left files from another manifest
+  await caches.delete(STAGING_CACHE);
+  const staging = await caches.open(STAGING_CACHE);
+
+  await Promise.all(PRECACHE.files.map(async ({ url, revision }) => {
+    if (revisions[url] === revision && await cache.match(url)) return;
+    try {
+      // Bypass the HTTP cache: the manifest says this file changed
+      const res = await fetch(url, { cache: 'reload' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      await staging.put(url, res);
+    } catch (err) {
+      console.warn(`Failed to cache ${url}:`, err);
+    }
+  }));
+}
+
+/**
+ * Move staged files into the cache, drop files no longer shipped and record the
+ * new revisions
+ * @returns {Promise<number>} Number of files updated
+ */
+async function commitPrecache() {
+  // Without a manifest, keep what earlier versions cached
+  if (!self.PRECACHE_MANIFEST) return 0;
+
+  const revisions = await readRevisions();
+  const cache = await caches.open(CACHE_NAME);
+  const staging = await caches.open(STAGING_CACHE);
+  const next = {};
+  let changed = 0;
+
+  for (const { url, revision } of PRECACHE.files) {
+    const staged = await staging.match(url);
+    if (staged) {
+      await cache.put(url, staged);
+      next[url] = revision;
+      changed += 1;
+    } else if (revisions[url] === revision) {
+      next[url] = revision;
+    }
+  }
+
+  const shipped = new Set(PRECACHE.files.map(({ url }) => url));
+  await Promise.all(Object.keys(revisions)
+    .filter((url) => !shipped.has(url))
+    .map((url) => cache.delete(url)));
+
+  await cache.put(REVISIONS_KEY, new Response(JSON.stringify(next), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+  await caches.delete(STAGING_CACHE);
+  return changed;
+}
 
 self.addEventListener('install', (event) => {
   event.waitUntil(
     (async () => {
-      // Skip waiting to activate immediately
-      await self.skipWaiting();
-      
-      // Pre-cache core assets in background (non-blocking)
+      // No skipWaiting here: an update waits until the page sends SKIP_WAITING
+      // (the visitor chose "Refresh", or left the page while idle). The first
+      // install has no worker to wait for and activates straight away.
+
+      // Pre-cache new and changed files (failures don't block the update)
       try {
-        const cache = await caches.open(CACHE_NAME);
-        // Use addAll but don't block if some assets fail
-        await Promise.allSettled(
-          CORE_ASSETS.map(url => 
-            cache.add(url).catch(err => {
-              console.warn(`Failed to cache ${url}:`, err);
-            })
-          )
-        );
+        await stagePrecache();
       } catch (err) {
         console.warn('Cache pre-population failed:', err);
       }
@@ -62,11 +153,19 @@ self.addEventListener('install', (event) => {
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     (async () => {
-      // Delete all old caches (force cache refresh on update)
+      let changed = 0;
+      try {
+        changed = await commitPrecache();
+      } catch (err) {
+        console.warn('Precache update failed:', err);
+      }
+
+      // Delete all old caches (force cache refresh on update); per-card caches
+      // of the current version are kept
       const keys = await caches.keys();
       await Promise.all(
         keys.map((key) => {
-          if (key !== CACHE_NAME) {
+          if (key !== CACHE_NAME && !key.startsWith(`${CACHE_NAME}-card-`)) {
             console.log('Deleting old cache:', key);
             return caches.delete(key);
           }
@@ -82,7 +181,8 @@ self.addEventListener('activate', (event) => {
       clients.forEach(client => {
         client.postMessage({
           type: 'SW_UPDATED',
-          version: CACHE_VERSION
+          version: PRECACHE.version,
+          changed
         });
       });
     })()
@@ -102,10 +202,15 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // Network-first strategy for HTML and JavaScript (always fresh)
+  const cacheName = getCacheName(url.pathname);
+
+  // Network-first strategy for HTML, JavaScript and card profiles (always fresh)
   // This ensures updates are immediately available on reload
   if (url.pathname.endsWith('.html') || 
       url.pathname.endsWith('.js') ||
+      url.pathname.endsWith('/card.json') ||
+      CARD_PAGE_PATTERN.test(url.pathname) ||
+      EDITOR_PAGE_PATTERN.test(url.pathname) ||
       url.pathname === '/' ||
       url.pathname.endsWith('/')) {
     event.respondWith(
@@ -116,17 +221,29 @@ self.addEventListener('fetch', (event) => {
           
           // If successful, update cache in background
           if (networkResponse && networkResponse.ok) {
-            const cache = await caches.open(CACHE_NAME);
+            const cache = await caches.open(cacheName);
             cache.put(req, networkResponse.clone());
           }
           
           return networkResponse;
         } catch (err) {
-          // Network failed, try cache (offline fallback)
-          const cached = await caches.match(req);
+          // Network failed, try cache (offline fallback). Pages don't depend on the
+          // query string (?preview, ?lang), so any cached copy of the page will do.
+          const cached = await caches.match(req, { ignoreSearch: req.mode === 'navigate' });
           if (cached) {
             return cached;
           }
+          // A card page not visited yet: serve the app shell (it loads the profile itself)
+          if (CARD_PAGE_PATTERN.test(url.pathname)) {
+            const shell = await caches.match('/index.html');
+            if (shell) return shell;
+          }
+          if (EDITOR_PAGE_PATTERN.test(url.pathname)) {
+            const editor = await caches.match('/edit.html');
+            if (editor) return editor;
+          }
+          const offline = await matchOfflinePage(req);
+          if (offline) return offline;
           // If both fail, return network error
           throw err;
         }
@@ -139,7 +256,7 @@ self.addEventListener('fetch', (event) => {
   // Fast response from cache + background update
   event.respondWith(
     (async () => {
-      const cache = await caches.open(CACHE_NAME);
+      const cache = await caches.open(cacheName);
       const cached = await cache.match(req);
       
       // Fetch fresh version in background
@@ -160,9 +277,143 @@ self.addEventListener('fetch', (event) => {
       }
       
       // No cache, wait for network
-      return fetchPromise;
+      const networkResponse = await fetchPromise;
+      if (networkResponse) return networkResponse;
+      return (await matchOfflinePage(req)) || Response.error();
     })()
   );
 });
 
+/**
+ * The offline page for a failed page load; null for other requests
+ * (a missing image or script should fail as it would without the worker).
+ */
+async function matchOfflinePage(req) {
+  if (req.mode !== 'navigate') return null;
+  return (await caches.match(OFFLINE_PAGE)) || null;
+}
+
+/**
+ * Open the contact exchange outbox (same schema as contactExchange.js)
+ */
+function openExchangeOutbox() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(EXCHANGE_DB, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(EXCHANGE_STORE, { autoIncrement: true });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Send saved submissions. Rejects while any are left so the browser retries the sync.
+ */
+async function sendExchangeOutbox() {
+  const db = await openExchangeOutbox();
+  const records = await new Promise((resolve, reject) => {
+    const items = [];
+    const request = db.transaction(EXCHANGE_STORE, 'readonly').objectStore(EXCHANGE_STORE).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(items);
+        return;
+      }
+      items.push({ key: cursor.key, ...cursor.value });
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  let sent = 0;
+  let pending = 0;
+  for (const { key, endpoint, entry } of records) {
+    try {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry)
+      });
+      // 4xx (except timeouts / rate limits): the endpoint refused it, retrying won't help
+      const refused = res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429;
+      if (!res.ok && !refused) {
+        pending += 1;
+        continue;
+      }
+      if (!res.ok) console.warn(`Contact exchange refused (HTTP ${res.status}), dropping it`);
+      else sent += 1;
+    } catch (err) {
+      pending += 1;
+      continue;
+    }
+    await new Promise((resolve) => {
+      const tx = db.transaction(EXCHANGE_STORE, 'readwrite');
+      tx.objectStore(EXCHANGE_STORE).delete(key);
+      tx.oncomplete = resolve;
+      tx.onerror = resolve;
+    });
+  }
+  db.close();
+
+  if (sent) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    clients.forEach((client) => client.postMessage({ type: 'CONTACT_EXCHANGE_SENT', count: sent }));
+  }
+  if (pending) throw new Error(`${pending} contact exchange submission(s) still pending`);
+}
 
+self.addEventListener('sync', (event) => {
+  if (event.tag === EXCHANGE_SYNC_TAG) {
+    event.waitUntil(sendExchangeOutbox());
+  }
+});
+
+/**
+ * Cache gallery images the page asked for (galleryHandler.js): only the sizes the
+ * visitor's screen uses, so the gallery works offline after the first visit.
+ * Files already cached are left alone; the stale-while-revalidate rule keeps them fresh.
+ */
+async function precacheGallery(urls) {
+  await Promise.all(urls.slice(0, GALLERY_PRECACHE_LIMIT).map(async (href) => {
+    let url;
+    try {
+      url = new URL(href, self.location.origin);
+    } catch (err) {
+      return;
+    }
+    if (url.origin !== self.location.origin) return;
+
+    const cache = await caches.open(getCacheName(url.pathname));
+    if (await cache.match(url.href)) return;
+    try {
+      const res = await fetch(url.href);
+      if (res.ok) await cache.put(url.href, res);
+    } catch (err) {
+      // Offline: the page asks again on the next visit
+    }
+  }));
+}
+
+self.addEventListener('message', (event) => {
+  const data = event.data;
+  if (data && data.type === 'PRECACHE_GALLERY' && Array.isArray(data.urls)) {
+    event.waitUntil(precacheGallery(data.urls));
+  }
+  if (data && data.type === 'SKIP_WAITING') {
+    event.waitUntil(skipWaitingFor(event.source, data));
+  }
+});
+
+/**
+ * Activate this (waiting) worker. An idle page that is being left (`whenAlone`)
+ * only gets it when no other window of the card is open: those may be mid-task.
+ * @param {Client} source - Page that sent SKIP_WAITING
+ * @param {{whenAlone?: boolean}} data
+ */
+async function skipWaitingFor(source, { whenAlone = false }) {
+  if (whenAlone) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.some((client) => !source || client.id !== source.id)) return;
+  }
+  await self.skipWaiting();
+}
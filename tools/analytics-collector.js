@@ -0,0 +1,109 @@
+/**
+ * Local Analytics Collector
+ * Minimal endpoint for testing scripts/analytics.js during development.
+ *
+ * Usage:
+ *   node tools/analytics-collector.js [port]
+ *
+ * Then set `"analytics": { "endpoint": "http://localhost:8787/collect" }` in card.json.
+ *
+ * Routes:
+ * - POST /collect  batch of events ({ events: [...] }, sent as text/plain by sendBeacon);
+ *                  each event is appended to analytics-events.ndjson
+ * - GET  /stats    event counts by name (and by platform / format where present),
+ *                  and by name and UTM source / campaign for visits from campaign links
+ *
+ * No dependencies; not meant for production.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 8787);
+const LOG_FILE = path.join(process.cwd(), 'analytics-events.ndjson');
+const MAX_BODY_BYTES = 64 * 1024;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+const counts = {};
+
+const count = (event) => {
+  const details = event.props && (event.props.platform || event.props.format || event.props.field);
+  const key = details ? `${event.name}:${details}` : event.name;
+  counts[key] = (counts[key] || 0) + 1;
+
+  const campaign = event.utm && [event.utm.source, event.utm.campaign].filter(Boolean).join(' / ');
+  if (campaign) {
+    const campaignKey = `${event.name} [${campaign}]`;
+    counts[campaignKey] = (counts[campaignKey] || 0) + 1;
+  }
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > MAX_BODY_BYTES) {
+      reject(new Error('Payload too large'));
+      req.destroy();
+    }
+  });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const send = (res, status, payload) => {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(payload === undefined ? '' : JSON.stringify(payload, null, 2));
+};
+
+const handleCollect = async (req, res) => {
+  let events;
+  try {
+    const data = JSON.parse(await readBody(req));
+    events = Array.isArray(data.events) ? data.events : [];
+  } catch (error) {
+    send(res, 400, { error: error.message });
+    return;
+  }
+
+  const valid = events.filter((event) => event && typeof event.name === 'string');
+  const receivedAt = new Date().toISOString();
+  const lines = valid.map((event) => JSON.stringify({ ...event, receivedAt })).join('\n');
+  if (lines) fs.appendFileSync(LOG_FILE, `${lines}\n`);
+
+  valid.forEach((event) => {
+    count(event);
+    console.log(`${receivedAt}  ${event.name}  ${JSON.stringify(event.props || {})}  ${event.path || ''}${event.utm ? `  ${JSON.stringify(event.utm)}` : ''}`);
+  });
+  send(res, 204);
+};
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+  if (req.method === 'POST' && pathname === '/collect') {
+    handleCollect(req, res);
+    return;
+  }
+  if (req.method === 'GET' && pathname === '/stats') {
+    send(res, 200, counts);
+    return;
+  }
+  send(res, 404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`Analytics collector listening on http://localhost:${PORT}/collect`);
+  console.log(`Events are appended to ${LOG_FILE}; counts at http://localhost:${PORT}/stats`);
+});
@@ -0,0 +1,487 @@
+/**
+ * App Icon Builder
+ * Renders the PNG icons that launchers and iOS need (most don't accept SVG) from
+ * the SVG sources in assets/, and the app shortcut icons from the Font Awesome
+ * glyphs in tools/icons.
+ *
+ * Usage:
+ *   node tools/build-app-icons.js
+ *
+ * Writes to assets/icons/:
+ * - icon-192.png, icon-512.png: assets/pwa-512.svg, purpose "any"
+ * - maskable-192.png, maskable-512.png: assets/pwa-maskable.svg, purpose "maskable"
+ *   (full-bleed background, artwork inside the safe zone launchers never crop)
+ * - apple-touch-icon.png (180×180): the maskable artwork, because iOS rounds the
+ *   corners itself and shows transparent ones as black
+ * - shortcut-<action>.png (96×96): one per entry in SHORTCUTS, matching the
+ *   `shortcuts` in manifest.webmanifest
+ *
+ * After changing a source SVG, SHORTCUTS or the colours, run this script and then
+ * tools/build-precache-manifest.js.
+ *
+ * The renderer covers what these sources use: <rect>, <circle> and <path> with a
+ * solid `fill`, and `transform` made of translate() / scale(). Text has to be
+ * converted to outlines first, so the icons don't depend on installed fonts.
+ *
+ * No dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'assets', 'icons');
+const GLYPHS = path.join(__dirname, 'icons');
+
+const ICONS = [
+  { source: 'assets/pwa-512.svg', file: 'icon-192.png', size: 192 },
+  { source: 'assets/pwa-512.svg', file: 'icon-512.png', size: 512 },
+  { source: 'assets/pwa-maskable.svg', file: 'maskable-192.png', size: 192 },
+  { source: 'assets/pwa-maskable.svg', file: 'maskable-512.png', size: 512 },
+  { source: 'assets/pwa-maskable.svg', file: 'apple-touch-icon.png', size: 180 }
+];
+
+// Manifest shortcut (?action=…) -> Font Awesome glyph in tools/icons
+const SHORTCUTS = {
+  call: 'solid/mobile-screen-button',
+  whatsapp: 'brands/whatsapp',
+  qr: 'solid/qrcode',
+  save: 'solid/address-card'
+};
+const SHORTCUT_SIZE = 96;
+// Same pink and black as the app icon
+const SHORTCUT_BACKGROUND = '#f7a9b8';
+const SHORTCUT_FOREGROUND = '#000000';
+
+// Vertical samples per pixel row (horizontal coverage is exact)
+const SAMPLES = 16;
+// Line segments per curve and per circle
+const CURVE_STEPS = 24;
+const CIRCLE_STEPS = 256;
+
+/* ---------- SVG ---------- */
+
+const parseAttributes = (source) =>
+  Object.fromEntries([...source.matchAll(/([\w:-]+)="([^"]*)"/g)].map((match) => [match[1], match[2]]));
+
+/** [a, b, c, d, e, f] for `translate(x y) scale(s)`, applied right to left like SVG. */
+const parseTransform = (value) => {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  [...String(value || '').matchAll(/(translate|scale)\(([^)]*)\)/g)].forEach(([, type, args]) => {
+    const [x, y] = args.trim().split(/[\s,]+/).map(Number);
+    const next = type === 'translate' ? [1, 0, 0, 1, x, y || 0] : [x, 0, 0, y === undefined ? x : y, 0, 0];
+    const [a, b, c, d, e, f] = matrix;
+    matrix = [
+      a * next[0] + c * next[1], b * next[0] + d * next[1],
+      a * next[2] + c * next[3], b * next[2] + d * next[3],
+      a * next[4] + c * next[5] + e, b * next[4] + d * next[5] + f
+    ];
+  });
+  return matrix;
+};
+
+const parseColor = (value) => {
+  const hex = String(value || '').trim().replace(/^#/, '');
+  const full = hex.length === 3 ? hex.replace(/./g, '$&$&') : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) throw new Error(`Unsupported fill "${value}" (use #rrggbb)`);
+  return [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16));
+};
+
+/** Point on an SVG arc (endpoint form), flattened into `points`. */
+const flattenArc = (points, [x0, y0], rx, ry, rotation, largeArc, sweep, [x, y]) => {
+  if (!rx || !ry) {
+    points.push([x, y]);
+    return;
+  }
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x0 - x) / 2;
+  const dy = (y0 - y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const factor = (largeArc === sweep ? -1 : 1)
+    * Math.sqrt(Math.max(0, numerator / (rx * rx * y1 * y1 + ry * ry * x1 * x1)));
+  const cx1 = (factor * rx * y1) / ry;
+  const cy1 = (-factor * ry * x1) / rx;
+  const cx = cos * cx1 - sin * cy1 + (x0 + x) / 2;
+  const cy = sin * cx1 + cos * cy1 + (y0 + y) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const start = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+  let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const steps = Math.max(2, Math.ceil((Math.abs(delta) / (2 * Math.PI)) * CIRCLE_STEPS));
+  for (let i = 1; i <= steps; i += 1) {
+    const t = start + (delta * i) / steps;
+    const ex = rx * Math.cos(t);
+    const ey = ry * Math.sin(t);
+    points.push([cos * ex - sin * ey + cx, sin * ex + cos * ey + cy]);
+  }
+};
+
+/** Path data -> closed polygons (arrays of [x, y]). */
+const flattenPath = (d) => {
+  const tokens = d.match(/[a-z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const polygons = [];
+  let index = 0;
+  let command = '';
+  let current = [0, 0];
+  let start = [0, 0];
+  let control = null;
+  let points = null;
+
+  const isCommand = (token) => /^[a-z]$/i.test(token);
+  const number = () => {
+    if (index >= tokens.length || isCommand(tokens[index])) throw new Error(`Bad path data near token ${index}`);
+    return Number(tokens[index++]);
+  };
+  // Arc flags may be written without separators ("a4 4 0 014 4")
+  const flag = () => {
+    const token = tokens[index];
+    if (token === '0' || token === '1') {
+      index += 1;
+      return Number(token);
+    }
+    if (/^[01]/.test(token || '')) {
+      tokens[index] = token.slice(1);
+      return Number(token[0]);
+    }
+    throw new Error(`Bad arc flag near token ${index}`);
+  };
+  const point = (relative) => {
+    const x = number();
+    const y = number();
+    return relative ? [current[0] + x, current[1] + y] : [x, y];
+  };
+  const closePolygon = () => {
+    if (points && points.length > 2) polygons.push(points);
+    points = null;
+  };
+  const lineTo = (target) => {
+    if (!points) points = [current];
+    points.push(target);
+    current = target;
+  };
+  const curveTo = (c1, c2, end) => {
+    if (!points) points = [current];
+    const [x0, y0] = current;
+    for (let i = 1; i <= CURVE_STEPS; i += 1) {
+      const t = i / CURVE_STEPS;
+      const u = 1 - t;
+      points.push([
+        u * u * u * x0 + 3 * u * u * t * c1[0] + 3 * u * t * t * c2[0] + t * t * t * end[0],
+        u * u * u * y0 + 3 * u * u * t * c1[1] + 3 * u * t * t * c2[1] + t * t * t * end[1]
+      ]);
+    }
+    current = end;
+  };
+  // Quadratic as the equivalent cubic
+  const quadTo = (c, end) => {
+    const c1 = [current[0] + (2 / 3) * (c[0] - current[0]), current[1] + (2 / 3) * (c[1] - current[1])];
+    const c2 = [end[0] + (2 / 3) * (c[0] - end[0]), end[1] + (2 / 3) * (c[1] - end[1])];
+    curveTo(c1, c2, end);
+  };
+  const reflect = (previous) => (previous ? [2 * current[0] - previous[0], 2 * current[1] - previous[1]] : current);
+
+  while (index < tokens.length) {
+    if (isCommand(tokens[index])) command = tokens[index++];
+    else if (!command) throw new Error('Path data must start with a command');
+
+    const relative = command === command.toLowerCase();
+    let nextControl = null;
+
+    switch (command.toUpperCase()) {
+      case 'M':
+        closePolygon();
+        current = point(relative);
+        start = current;
+        points = [current];
+        // Further pairs after a moveto are linetos
+        command = relative ? 'l' : 'L';
+        break;
+      case 'L':
+        lineTo(point(relative));
+        break;
+      case 'H':
+        lineTo([(relative ? current[0] : 0) + number(), current[1]]);
+        break;
+      case 'V':
+        lineTo([current[0], (relative ? current[1] : 0) + number()]);
+        break;
+      case 'C': {
+        const c1 = point(relative);
+        const c2 = point(relative);
+        const end = point(relative);
+        curveTo(c1, c2, end);
+        nextControl = c2;
+        break;
+      }
+      case 'S': {
+        const c1 = /[CS]/i.test(control?.command || '') ? reflect(control.point) : current;
+        const c2 = point(relative);
+        const end = point(relative);
+        curveTo(c1, c2, end);
+        nextControl = c2;
+        break;
+      }
+      case 'Q': {
+        const c = point(relative);
+        quadTo(c, point(relative));
+        nextControl = c;
+        break;
+      }
+      case 'T': {
+        const c = /[QT]/i.test(control?.command || '') ? reflect(control.point) : current;
+        quadTo(c, point(relative));
+        nextControl = c;
+        break;
+      }
+      case 'A': {
+        const rx = number();
+        const ry = number();
+        const rotation = number();
+        const largeArc = flag();
+        const sweep = flag();
+        const end = point(relative);
+        if (!points) points = [current];
+        flattenArc(points, current, rx, ry, rotation, largeArc, sweep, end);
+        current = end;
+        break;
+      }
+      case 'Z':
+        closePolygon();
+        current = start;
+        break;
+      default:
+        throw new Error(`Unsupported path command "${command}"`);
+    }
+
+    control = nextControl ? { command, point: nextControl } : null;
+  }
+  closePolygon();
+  return polygons;
+};
+
+const circlePolygon = (cx, cy, r) =>
+  Array.from({ length: CIRCLE_STEPS }, (_, i) => {
+    const t = (2 * Math.PI * i) / CIRCLE_STEPS;
+    return [cx + r * Math.cos(t), cy + r * Math.sin(t)];
+  });
+
+/** { width, height, shapes: [{ color, polygons }] } in viewBox units. */
+const parseSvg = (svg, name) => {
+  const root = parseAttributes((svg.match(/<svg\b[^>]*>/) || [''])[0]);
+  const [minX, minY, width, height] = String(root.viewBox || '').trim().split(/[\s,]+/).map(Number);
+  if (!width || !height) throw new Error(`${name}: no viewBox`);
+
+  const body = svg.replace(/<!--[\s\S]*?-->/g, '');
+  const shapes = [...body.matchAll(/<(rect|circle|path)\b([^>]*?)\/?>/g)].map(([, tag, source]) => {
+    const attrs = parseAttributes(source);
+    let polygons;
+    if (tag === 'rect') {
+      const x = Number(attrs.x || 0);
+      const y = Number(attrs.y || 0);
+      const w = Number(attrs.width);
+      const h = Number(attrs.height);
+      polygons = [[[x, y], [x + w, y], [x + w, y + h], [x, y + h]]];
+    } else if (tag === 'circle') {
+      polygons = [circlePolygon(Number(attrs.cx || 0), Number(attrs.cy || 0), Number(attrs.r))];
+    } else {
+      polygons = flattenPath(attrs.d || '');
+    }
+
+    const [a, b, c, d, e, f] = parseTransform(attrs.transform);
+    return {
+      color: parseColor(attrs.fill || '#000000'),
+      polygons: polygons.map((polygon) => polygon.map(([x, y]) => [a * x + c * y + e - minX, b * x + d * y + f - minY]))
+    };
+  });
+
+  if (!shapes.length) throw new Error(`${name}: nothing to draw (text must be converted to outlines)`);
+  return { width, height, shapes };
+};
+
+/* ---------- Rasteriser ---------- */
+
+/**
+ * Add the exact coverage of the span [from, to) on one sample row to `row`.
+ */
+const addSpan = (row, from, to, weight) => {
+  const start = Math.max(0, from);
+  const end = Math.min(row.length, to);
+  if (end <= start) return;
+  const first = Math.floor(start);
+  const last = Math.floor(end);
+  if (first === last) {
+    row[first] += (end - start) * weight;
+    return;
+  }
+  row[first] += (first + 1 - start) * weight;
+  for (let x = first + 1; x < last; x += 1) row[x] += weight;
+  if (last < row.length) row[last] += (end - last) * weight;
+};
+
+/** Fill the shape's polygons (nonzero rule, like SVG) into a coverage mask. */
+const coverage = (polygons, width, height, scale) => {
+  const edges = [];
+  polygons.forEach((polygon) => {
+    polygon.forEach(([x0, y0], i) => {
+      const [x1, y1] = polygon[(i + 1) % polygon.length];
+      if (y0 === y1) return;
+      edges.push({
+        x0: x0 * scale, y0: y0 * scale, x1: x1 * scale, y1: y1 * scale,
+        top: Math.min(y0, y1) * scale, bottom: Math.max(y0, y1) * scale,
+        winding: y1 > y0 ? 1 : -1
+      });
+    });
+  });
+
+  const mask = new Float32Array(width * height);
+  const row = new Float32Array(width);
+  for (let y = 0; y < height; y += 1) {
+    row.fill(0);
+    const active = edges.filter((edge) => edge.bottom > y && edge.top < y + 1);
+    if (!active.length) continue;
+
+    for (let sample = 0; sample < SAMPLES; sample += 1) {
+      const sy = y + (sample + 0.5) / SAMPLES;
+      const crossings = active
+        .filter((edge) => sy >= edge.top && sy < edge.bottom)
+        .map((edge) => ({ x: edge.x0 + ((sy - edge.y0) / (edge.y1 - edge.y0)) * (edge.x1 - edge.x0), winding: edge.winding }))
+        .sort((a, b) => a.x - b.x);
+
+      let winding = 0;
+      crossings.forEach((crossing, i) => {
+        winding += crossing.winding;
+        if (winding !== 0 && i + 1 < crossings.length) addSpan(row, crossing.x, crossings[i + 1].x, 1 / SAMPLES);
+      });
+    }
+    mask.set(row.map((value) => Math.min(1, value)), y * width);
+  }
+  return mask;
+};
+
+/** RGBA pixels of the SVG drawn at `size`×`size` on a transparent canvas. */
+const render = ({ width, height, shapes }, size) => {
+  const scale = size / Math.max(width, height);
+  // Premultiplied RGBA, composited source-over in drawing order
+  const canvas = new Float32Array(size * size * 4);
+  shapes.forEach(({ color, polygons }) => {
+    const mask = coverage(polygons, size, size, scale);
+    mask.forEach((alpha, i) => {
+      if (!alpha) return;
+      const o = i * 4;
+      for (let channel = 0; channel < 3; channel += 1) {
+        canvas[o + channel] = (color[channel] / 255) * alpha + canvas[o + channel] * (1 - alpha);
+      }
+      canvas[o + 3] = alpha + canvas[o + 3] * (1 - alpha);
+    });
+  });
+
+  const pixels = new Uint8Array(size * size * 4);
+  for (let i = 0; i < size * size; i += 1) {
+    const o = i * 4;
+    const alpha = canvas[o + 3];
+    for (let channel = 0; channel < 3; channel += 1) {
+      pixels[o + channel] = alpha ? Math.round(Math.min(1, canvas[o + channel] / alpha) * 255) : 0;
+    }
+    pixels[o + 3] = Math.round(alpha * 255);
+  }
+  return pixels;
+};
+
+/* ---------- PNG ---------- */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i += 1) crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const chunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+/** 8-bit RGBA PNG, no filtering (the sources are flat colours; deflate does the rest). */
+const encodePng = (pixels, width, height) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header.set([8, 6, 0, 0, 0], 8);
+
+  const rows = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    Buffer.from(pixels.buffer, y * width * 4, width * 4).copy(rows, y * (width * 4 + 1) + 1);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+/* ---------- Build ---------- */
+
+/** A shortcut icon: the glyph centred on a circle, filling half of it. */
+const shortcutSvg = (glyph) => {
+  const source = fs.readFileSync(path.join(GLYPHS, `${glyph}.svg`), 'utf8');
+  const [, , width, height] = ((source.match(/viewBox="([^"]+)"/) || [])[1] || '').split(/\s+/).map(Number);
+  const paths = [...source.matchAll(/<path\b[^>]*\bd="([^"]+)"/g)].map((match) => match[1]);
+  if (!width || !paths.length) throw new Error(`No viewBox or path in tools/icons/${glyph}.svg`);
+
+  const half = SHORTCUT_SIZE / 2;
+  const scale = half / Math.max(width, height);
+  const transform = `translate(${half - (width * scale) / 2} ${half - (height * scale) / 2}) scale(${scale})`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${SHORTCUT_SIZE} ${SHORTCUT_SIZE}">`,
+    `<circle cx="${half}" cy="${half}" r="${half}" fill="${SHORTCUT_BACKGROUND}"/>`,
+    ...paths.map((d) => `<path transform="${transform}" d="${d}" fill="${SHORTCUT_FOREGROUND}"/>`),
+    '</svg>'
+  ].join('');
+};
+
+const build = () => {
+  fs.mkdirSync(OUTPUT, { recursive: true });
+
+  const jobs = [
+    ...ICONS.map(({ source, file, size }) => ({
+      name: source, file, size, svg: fs.readFileSync(path.join(ROOT, source), 'utf8')
+    })),
+    ...Object.entries(SHORTCUTS).map(([action, glyph]) => ({
+      name: glyph, file: `shortcut-${action}.png`, size: SHORTCUT_SIZE, svg: shortcutSvg(glyph)
+    }))
+  ];
+
+  jobs.forEach(({ name, file, size, svg }) => {
+    const png = encodePng(render(parseSvg(svg, name), size), size, size);
+    fs.writeFileSync(path.join(OUTPUT, file), png);
+    console.log(`assets/icons/${file}: ${size}×${size}, ${(png.length / 1024).toFixed(1)} KB`);
+  });
+};
+
+build();
@@ -0,0 +1,97 @@
+/**
+ * Icon Sprite Builder
+ * Inlines the icons the pages use as an SVG sprite of <symbol id="icon-NAME">,
+ * so icons render offline and without a third-party icon font.
+ *
+ * Usage:
+ *   node tools/build-icon-sprite.js
+ *
+ * Glyph sources are the Font Awesome Free SVGs in tools/icons/solid and
+ * tools/icons/brands (only the ones in use; see tools/icons/LICENSE.txt). To add
+ * an icon, copy its SVG from Font Awesome Free 6 into one of those folders, use it
+ * as <svg class="icon"><use href="#icon-NAME"></use></svg> (or
+ * CardIcons.create('NAME') in scripts) and run this script, then
+ * tools/build-precache-manifest.js.
+ *
+ * index.html gets every glyph: the card renders icons from card.json and from its
+ * scripts. Other pages get only the glyphs their own markup uses. The sprite goes
+ * between the ICON_SPRITE markers at the start of each page's <body>.
+ *
+ * No dependencies.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCES = path.join(__dirname, 'icons');
+const STYLES = ['solid', 'brands'];
+
+// Pages and whether they carry the whole set
+const PAGES = { 'index.html': true, 'edit.html': false };
+
+const START = '<!-- ICON_SPRITE: generated by tools/build-icon-sprite.js; do not edit by hand -->';
+const END = '<!-- /ICON_SPRITE -->';
+
+/** name -> { viewBox, paths } from every source SVG. */
+const readGlyphs = () => {
+  const glyphs = new Map();
+  STYLES.forEach((style) => {
+    fs.readdirSync(path.join(SOURCES, style)).filter((file) => file.endsWith('.svg')).sort().forEach((file) => {
+      const name = file.slice(0, -4);
+      if (glyphs.has(name)) throw new Error(`Icon "${name}" exists in more than one style`);
+
+      const svg = fs.readFileSync(path.join(SOURCES, style, file), 'utf8');
+      const viewBox = (svg.match(/viewBox="([^"]+)"/) || [])[1];
+      const paths = [...svg.matchAll(/<path\b[^>]*\bd="([^"]+)"/g)].map((match) => match[1]);
+      if (!viewBox || !paths.length) throw new Error(`No viewBox or path in ${style}/${file}`);
+      glyphs.set(name, { viewBox, paths });
+    });
+  });
+  return glyphs;
+};
+
+/** Glyph names a page's markup references as #icon-NAME. */
+const findReferences = (html) =>
+  [...new Set([...html.matchAll(/href="#icon-([a-z0-9-]+)"/g)].map((match) => match[1]))];
+
+const renderSprite = (names, glyphs) => [
+  START,
+  '  <svg xmlns="http://www.w3.org/2000/svg" class="icon-sprite" aria-hidden="true" focusable="false" hidden>',
+  ...names.map((name) => {
+    const { viewBox, paths } = glyphs.get(name);
+    return `    <symbol id="icon-${name}" viewBox="${viewBox}">${paths.map((d) => `<path d="${d}"/>`).join('')}</symbol>`;
+  }),
+  '  </svg>',
+  `  ${END}`
+].join('\n');
+
+const build = () => {
+  const glyphs = readGlyphs();
+  const problems = [];
+
+  Object.entries(PAGES).forEach(([page, everything]) => {
+    const file = path.join(ROOT, page);
+    const html = fs.readFileSync(file, 'utf8');
+    const start = html.indexOf(START);
+    const end = html.indexOf(END);
+    if (start === -1 || end < start) {
+      problems.push(`${page}: no ICON_SPRITE markers`);
+      return;
+    }
+
+    const used = findReferences(html.slice(0, start) + html.slice(end));
+    used.filter((name) => !glyphs.has(name)).forEach((name) => problems.push(`${page}: no source for icon "${name}"`));
+
+    const names = everything ? [...glyphs.keys()] : used.filter((name) => glyphs.has(name)).sort();
+    fs.writeFileSync(file, html.slice(0, start) + renderSprite(names, glyphs) + html.slice(end + END.length));
+    console.log(`${page}: ${names.length} icons`);
+  });
+
+  if (problems.length) {
+    console.error(`Icon sprite problems:\n  ${problems.join('\n  ')}`);
+    process.exitCode = 1;
+  }
+};
+
+build();
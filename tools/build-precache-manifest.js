@@ -0,0 +1,91 @@
+/**
+ * Precache Manifest Builder
+ * Hashes every file the site ships and writes precache-manifest.js, which sw.js
+ * loads to know what to cache for offline use and which files changed.
+ *
+ * Usage:
+ *   node tools/build-precache-manifest.js
+ *
+ * Run it before every deploy and commit the result. When any shipped file changes,
+ * the manifest changes, the browser installs the service worker again and only the
+ * changed files are downloaded; there is no cache name to bump.
+ *
+ * Shipped: the pages (including offline.html, shown for uncached pages), card.json, the web manifest, styles/, scripts/ and assets/.
+ * Left to runtime caching: hosted cards (cards/, cached per card when visited),
+ * gallery images (cached at the sizes each screen uses) and .vcf files (never cached).
+ * Not cached at all: assets/screenshots (only the browser's install dialog shows them).
+ *
+ * Also fails when a page loads a local file that doesn't exist.
+ *
+ * No dependencies.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUTPUT = path.join(ROOT, 'precache-manifest.js');
+
+const PAGES = ['index.html', 'edit.html', 'offline.html'];
+const INCLUDE = [...PAGES, 'card.json', 'manifest.webmanifest', 'styles', 'scripts', 'assets'];
+const EXCLUDE = [/^assets\/gallery\//, /^assets\/screenshots\//, /\.vcf$/i, /(^|\/)\./];
+// Extra URLs served by a shipped file (the site root is index.html)
+const ALIASES = { '/': 'index.html' };
+
+const hash = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+/** Files under a path, relative to the site root with "/" separators. */
+const listFiles = (relative) => {
+  const absolute = path.join(ROOT, relative);
+  if (!fs.existsSync(absolute)) return [];
+  if (fs.statSync(absolute).isFile()) return [relative];
+  return fs.readdirSync(absolute).sort().flatMap((name) => listFiles(`${relative}/${name}`));
+};
+
+/** Root-relative src / href values in a page that point at files on disk. */
+const findMissingReferences = (page) => {
+  const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+  const references = [...html.matchAll(/\s(?:src|href)="(\/[^"#?]*)"/g)].map((match) => match[1]);
+  return references
+    .filter((url) => url !== '/' && !/^\/(c|edit)(\/|$)/.test(url))
+    .filter((url) => !fs.existsSync(path.join(ROOT, url)))
+    .map((url) => `${page}: ${url}`);
+};
+
+const build = () => {
+  const missing = PAGES.flatMap(findMissingReferences);
+  if (missing.length) {
+    console.error(`Missing files:\n  ${missing.join('\n  ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = [...new Set(INCLUDE.flatMap(listFiles))]
+    .filter((file) => !EXCLUDE.some((pattern) => pattern.test(file)))
+    .map((file) => ({ url: `/${file}`, revision: hash(fs.readFileSync(path.join(ROOT, file))).slice(0, 16) }));
+
+  Object.entries(ALIASES).forEach(([url, file]) => {
+    const target = files.find((entry) => entry.url === `/${file}`);
+    if (target) files.unshift({ url, revision: target.revision });
+  });
+
+  // Same files, same version: re-running without changes leaves the manifest untouched
+  const version = hash(files.map(({ url, revision }) => `${url} ${revision}`).join('\n')).slice(0, 12);
+
+  // One file per line keeps deploy diffs readable
+  fs.writeFileSync(OUTPUT, [
+    '// Generated by tools/build-precache-manifest.js; do not edit by hand.',
+    'self.PRECACHE_MANIFEST = {',
+    `  "version": ${JSON.stringify(version)},`,
+    '  "files": [',
+    files.map((entry) => `    ${JSON.stringify(entry)}`).join(',\n'),
+    '  ]',
+    '};',
+    ''
+  ].join('\n'));
+
+  console.log(`precache-manifest.js: ${files.length} files, version ${version}`);
+};
+
+build();